@@ -0,0 +1,20 @@
+const runEvery = require('./runEvery');
+const { defaultRange, markAbsences } = require('../utils/autoAbsence');
+
+// How often the unmarked-days job runs
+const INTERVAL_MINUTES = Number(process.env.AUTO_ABSENT_INTERVAL_MINUTES) || 60;
+
+const runAutoAbsence = async () => {
+  const result = await markAbsences(defaultRange());
+  if (result.created) {
+    console.log(`Auto-absence: marked ${result.created} unmarked working day(s) absent`);
+  }
+};
+
+// Set AUTO_ABSENT_ENABLED=false to disable
+const startAutoAbsenceJob = () => {
+  if (process.env.AUTO_ABSENT_ENABLED === 'false') return;
+  runEvery('Auto-absence', INTERVAL_MINUTES, runAutoAbsence);
+};
+
+module.exports = { runAutoAbsence, startAutoAbsenceJob };
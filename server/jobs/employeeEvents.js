@@ -0,0 +1,19 @@
+const runEvery = require('./runEvery');
+const { applyDueEvents } = require('../utils/employeeEvents');
+
+// Transfers, promotions and exits are applied within this many minutes of
+// taking effect
+const INTERVAL_MINUTES = Number(process.env.EMPLOYEE_EVENT_INTERVAL_MINUTES) || 60;
+
+const runEmployeeEvents = async () => {
+  const applied = await applyDueEvents();
+  if (applied) {
+    console.log(`Employee events: applied ${applied} transfer(s), promotion(s) or exit(s)`);
+  }
+};
+
+const startEmployeeEventJob = () => {
+  runEvery('Employee event', INTERVAL_MINUTES, runEmployeeEvents);
+};
+
+module.exports = { runEmployeeEvents, startEmployeeEventJob };
@@ -0,0 +1,18 @@
+const runEvery = require('./runEvery');
+const { expireOffers } = require('../utils/offers');
+
+// Offers expire within this many minutes of the end of their expiry day
+const INTERVAL_MINUTES = Number(process.env.OFFER_EXPIRY_INTERVAL_MINUTES) || 60;
+
+const runOfferExpiry = async () => {
+  const expired = await expireOffers();
+  if (expired) {
+    console.log(`Offer expiry: marked ${expired} offer(s) expired`);
+  }
+};
+
+const startOfferExpiryJob = () => {
+  runEvery('Offer expiry', INTERVAL_MINUTES, runOfferExpiry);
+};
+
+module.exports = { runOfferExpiry, startOfferExpiryJob };
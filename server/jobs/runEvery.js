@@ -0,0 +1,23 @@
+// Run a background task now and then every `minutes`, waiting for each run to
+// finish before scheduling the next so runs never overlap. Failures are
+// logged and retried on the next run.
+const runEvery = (name, minutes, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (err) {
+      console.error(`${name} job failed:`, err.message);
+    }
+  };
+
+  const schedule = () => {
+    setTimeout(async () => {
+      await run();
+      schedule();
+    }, minutes * 60 * 1000);
+  };
+
+  run().then(schedule);
+};
+
+module.exports = runEvery;
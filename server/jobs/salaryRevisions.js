@@ -0,0 +1,18 @@
+const runEvery = require('./runEvery');
+const { applyDueRevisions } = require('../utils/salary');
+
+// Future-dated revisions take effect within this many minutes of their date
+const INTERVAL_MINUTES = Number(process.env.SALARY_REVISION_INTERVAL_MINUTES) || 60;
+
+const runSalaryRevisions = async () => {
+  const updated = await applyDueRevisions();
+  if (updated) {
+    console.log(`Salary revisions: updated the current salary of ${updated} employee(s)`);
+  }
+};
+
+const startSalaryRevisionJob = () => {
+  runEvery('Salary revision', INTERVAL_MINUTES, runSalaryRevisions);
+};
+
+module.exports = { runSalaryRevisions, startSalaryRevisionJob };
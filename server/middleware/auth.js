@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     const token = req.header('x-auth-token');
     
@@ -9,18 +11,31 @@ const auth = (req, res, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
     
-    // Check if token is expired (2 hour session)
+    // Check if token is expired
     const currentTime = Date.now() / 1000;
     if (decoded.exp < currentTime) {
       return res.status(401).json({ message: 'Token expired, please login again' });
     }
     
+    // Check the session behind the token has not been logged out or revoked
+    const session = decoded.sid && await Session.findById(decoded.sid).select('user revokedAt');
+    if (!session || session.revokedAt || session.user.toString() !== decoded.user.id) {
+      return res.status(401).json({ message: 'Session has been revoked, please login again' });
+    }
+    
+    // Reject tokens of deleted or deactivated accounts, and pick up role changes
+    const user = await User.findById(decoded.user.id).select('role active employee');
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account is no longer active' });
+    }
+    
+    req.user = { id: user.id, role: user.role, employee: user.employee, sessionId: session.id };
+    
     next();
   } catch (err) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
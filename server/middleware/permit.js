@@ -0,0 +1,38 @@
+// Role-based permission guard.
+// Each router declares which roles may perform each of its actions:
+//
+//   const can = permit({ read: ['hr', 'admin'], delete: ['admin'] });
+//   router.delete('/:id', auth, can('delete'), handler);
+//
+// Must run after the auth middleware so req.user is populated.
+
+const forbidden = (res) =>
+  res.status(403).json({ message: 'Access denied: insufficient permissions' });
+
+const permit = (policy) => {
+  const allows = (user, action) => {
+    const roles = policy[action];
+    return !!user && Array.isArray(roles) && roles.includes(user.role);
+  };
+
+  const can = (action) => {
+    if (!policy[action]) {
+      throw new Error(`No roles declared for permission "${action}"`);
+    }
+
+    return (req, res, next) => {
+      if (!allows(req.user, action)) {
+        return forbidden(res);
+      }
+      next();
+    };
+  };
+
+  // For checks that depend on the request body (e.g. salary changes)
+  can.allows = allows;
+
+  return can;
+};
+
+module.exports = permit;
+module.exports.forbidden = forbidden;
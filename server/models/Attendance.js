@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+const PunchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true
+  },
+  time: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['self', 'manual', 'device'],
+    default: 'self'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const AttendanceSchema = new mongoose.Schema({
   employee: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,10 +36,56 @@ const AttendanceSchema = new mongoose.Schema({
     enum: ['present', 'absent', 'half-day', 'leave'],
     required: true
   },
+  // Clock-in/clock-out history; the fields below are derived from it
+  punches: [PunchSchema],
+  firstIn: {
+    type: Date
+  },
+  lastOut: {
+    type: Date
+  },
+  workedHours: {
+    type: Number,
+    default: 0
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  lateByMinutes: {
+    type: Number,
+    default: 0
+  },
+  isEarlyDeparture: {
+    type: Boolean,
+    default: false
+  },
+  earlyByMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Latest approved regularization that corrected this record, if any
+  regularization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Regularization'
+  },
+  // Approved leave that set this record, if any
+  leave: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
+  },
+  // Written as absent by the unmarked-days job rather than by a person
+  autoMarked: {
+    type: Boolean,
+    default: false
+  },
+  // Not set on records auto-marked by the scheduled job
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.autoMarked;
+    }
   },
   createdAt: {
     type: Date,
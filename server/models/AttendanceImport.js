@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const ImportRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  // Value from the file (employee id or email) and what it resolved to
+  employeeRef: {
+    type: String
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  date: {
+    type: Date
+  },
+  status: {
+    type: String
+  },
+  checkIn: {
+    type: Date
+  },
+  checkOut: {
+    type: Date
+  },
+  issues: [String],
+  // Outcome once committed
+  result: {
+    type: String,
+    enum: ['created', 'skipped', 'error']
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  }
+}, { _id: false });
+
+// An uploaded attendance CSV, validated into a preview before it is committed
+const AttendanceImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['preview', 'committed'],
+    default: 'preview'
+  },
+  rows: [ImportRowSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  committedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('AttendanceImport', AttendanceImportSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// A change of stage or status, recorded as the state after the change
+const StageChangeSchema = new mongoose.Schema({
+  stage: {
+    type: String
+  },
+  status: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const CandidateSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -14,6 +35,11 @@ const CandidateSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Job opening applied against; position defaults to its title
+  opening: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobOpening'
+  },
   position: {
     type: String,
     required: true
@@ -24,9 +50,19 @@ const CandidateSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['applied', 'interviewing', 'selected', 'rejected'],
+    // hired once converted to an employee
+    enum: ['applied', 'interviewing', 'selected', 'rejected', 'hired'],
     default: 'applied'
   },
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  // Current stage, one of the pipeline's stages
+  stage: {
+    type: String
+  },
+  stageHistory: [StageChangeSchema],
   resume: {
     type: String, // URL to resume file
     required: true
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A department in the company hierarchy. Names are unique regardless of case.
+const DepartmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String
+  },
+  // Parent department; unset for top-level departments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+DepartmentSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Department', DepartmentSchema);
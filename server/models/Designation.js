@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A job title employees can hold. Titles are unique regardless of case.
+const DesignationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Seniority grade; higher is more senior
+  level: {
+    type: Number,
+    min: 0
+  },
+  description: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+DesignationSchema.index({ title: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Designation', DesignationSchema);
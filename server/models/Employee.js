@@ -1,4 +1,88 @@
 const mongoose = require('mongoose');
+const { encrypt, decrypt, mask } = require('../utils/encryption');
+
+const AddressSchema = new mongoose.Schema({
+  line1: String,
+  line2: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+const EmergencyContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  relationship: {
+    type: String
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String
+  }
+});
+
+// Account number is encrypted at rest
+const BankAccountSchema = new mongoose.Schema({
+  accountHolder: String,
+  bankName: String,
+  branch: String,
+  accountNumber: {
+    type: String,
+    set: encrypt
+  },
+  // IFSC, sort code, routing number or similar
+  routingCode: String
+}, { _id: false });
+
+// Government ID number is encrypted at rest
+const GovernmentIdSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['national-id', 'passport', 'tax-id', 'social-security', 'driving-licence', 'other'],
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    set: encrypt
+  },
+  issuingCountry: {
+    type: String
+  },
+  expiresOn: {
+    type: Date
+  }
+});
+
+// Uploaded personal documents, stored like other uploads
+const DocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['offer-letter', 'id-proof', 'address-proof', 'education', 'experience', 'other'],
+    required: true
+  },
+  name: {
+    type: String
+  },
+  file: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const EmployeeSchema = new mongoose.Schema({
   name: {
@@ -14,18 +98,22 @@ const EmployeeSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Designation held
   position: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation',
     required: true
   },
   department: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
     required: true
   },
   joiningDate: {
     type: Date,
     required: true
   },
+  // Monthly basic pay; payroll builds each payslip from it
   salary: {
     type: Number,
     required: true
@@ -35,6 +123,23 @@ const EmployeeSchema = new mongoose.Schema({
     enum: ['active', 'inactive'],
     default: 'active'
   },
+  // Last working day, set when an exit takes effect
+  exitDate: {
+    type: Date
+  },
+  // Reporting manager; first approver of this employee's leave
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  address: AddressSchema,
+  dateOfBirth: {
+    type: Date
+  },
+  emergencyContacts: [EmergencyContactSchema],
+  bankAccount: BankAccountSchema,
+  governmentIds: [GovernmentIdSchema],
+  documents: [DocumentSchema],
   candidateId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Candidate',
@@ -46,4 +151,32 @@ const EmployeeSchema = new mongoose.Schema({
   }
 });
 
+// Show each encrypted field through fn (mask or decrypt)
+const showSensitive = (ret, fn) => {
+  if (ret.bankAccount && ret.bankAccount.accountNumber) {
+    ret.bankAccount.accountNumber = fn(ret.bankAccount.accountNumber);
+  }
+  (ret.governmentIds || []).forEach(id => {
+    id.number = fn(id.number);
+  });
+  return ret;
+};
+
+// Sensitive fields are masked in every response by default
+EmployeeSchema.set('toJSON', {
+  transform: (doc, ret) => showSensitive(ret, value => mask(value))
+});
+
+// Plain object with sensitive fields decrypted, for callers allowed to see
+// them. Values the current key cannot decrypt are shown masked.
+EmployeeSchema.methods.toSensitiveJSON = function() {
+  return showSensitive(this.toObject(), value => {
+    try {
+      return decrypt(value);
+    } catch (err) {
+      return mask(value);
+    }
+  });
+};
+
 module.exports = mongoose.model('Employee', EmployeeSchema);
\ No newline at end of file
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const ChecklistItemSchema = new mongoose.Schema({
+  item: {
+    type: String,
+    required: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  doneAt: {
+    type: Date
+  }
+});
+
+// A dated step in an employee's lifecycle. Transfers, promotions and exits
+// stay pending until their effective date and are then applied to the
+// employee record; an exit takes effect once its last working day is over.
+// Onboarding completes when every checklist item is done.
+const EmployeeEventSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['onboarding', 'transfer', 'promotion', 'resignation', 'exit'],
+    required: true
+  },
+  // Start date for onboarding, date submitted for a resignation and last
+  // working day for an exit
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  // Onboarding
+  checklist: [ChecklistItemSchema],
+  // Transfer
+  fromDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  toDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  // Promotion
+  fromPosition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  toPosition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  // Resignation
+  noticePeriodDays: {
+    type: Number,
+    min: 0
+  },
+  lastWorkingDay: {
+    type: Date
+  },
+  // Exit
+  exitReason: {
+    type: String,
+    enum: ['resignation', 'termination', 'retirement', 'contract-end', 'other']
+  },
+  // The exit a resignation scheduled, or the resignation behind an exit
+  relatedEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmployeeEvent'
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EmployeeEventSchema.index({ employee: 1, effectiveDate: -1 });
+EmployeeEventSchema.index({ type: 1, status: 1, effectiveDate: 1 });
+
+EmployeeEventSchema.pre('validate', function(next) {
+  if (this.effectiveDate) {
+    this.effectiveDate.setHours(0, 0, 0, 0);
+  }
+  next();
+});
+
+module.exports = mongoose.model('EmployeeEvent', EmployeeEventSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const HolidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One holiday per day; dates are stored at local midnight
+HolidaySchema.index({ date: 1 }, { unique: true });
+
+HolidaySchema.pre('validate', function(next) {
+  if (this.date) {
+    this.date.setHours(0, 0, 0, 0);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
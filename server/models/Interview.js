@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const RatingSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  }
+}, { _id: false });
+
+// One interviewer's structured feedback
+const ScorecardSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ratings: [RatingSchema],
+  recommendation: {
+    type: String,
+    enum: ['strong-yes', 'yes', 'no', 'strong-no'],
+    required: true
+  },
+  feedback: {
+    type: String
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A scheduled interview round for a candidate
+const InterviewSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    required: true
+  },
+  // Round within the pipeline; its name is copied so history survives edits
+  round: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  roundName: {
+    type: String,
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  location: {
+    type: String // room or meeting link
+  },
+  interviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
+    default: 'scheduled'
+  },
+  scorecards: [ScorecardSchema],
+  // Outcome of the round, decided once feedback is in
+  result: {
+    type: String,
+    enum: ['pending', 'passed', 'failed'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InterviewSchema.index({ candidate: 1, scheduledAt: 1 });
+InterviewSchema.index({ interviewers: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Interview', InterviewSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A vacancy (requisition) candidates apply against. It closes on its own
+// once enough candidates have been hired through it to fill the headcount.
+const JobOpeningSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  // Designation hires take; candidates' converts default to it
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  headcount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'on-hold', 'closed'],
+    default: 'draft'
+  },
+  hiringManager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  // Pipeline candidates for this opening go through; unset uses the one
+  // for the title, as for any other candidate
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  openedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('JobOpening', JobOpeningSchema);
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+// One step of the approval chain
+const ApprovalStepSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['manager', 'hr'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'skipped'],
+    default: 'pending'
+  },
+  approver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  comment: {
+    type: String
+  },
+  actedAt: {
+    type: Date
+  }
+});
+
 const LeaveSchema = new mongoose.Schema({
   employee: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,20 +38,77 @@ const LeaveSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Partial-day leave must start and end on the same day
+  duration: {
+    type: String,
+    enum: ['full-day', 'half-day', 'hours'],
+    default: 'full-day'
+  },
+  halfDaySession: {
+    type: String,
+    enum: ['first-half', 'second-half']
+  },
+  hours: {
+    type: Number,
+    min: 0
+  },
+  // Working days taken, fractional for half-day and hourly leave
+  days: {
+    type: Number
+  },
   reason: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['sick', 'casual', 'annual', 'other'],
+    enum: ['sick', 'casual', 'annual', 'unpaid', 'other'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
     default: 'pending'
   },
+  approvals: [ApprovalStepSchema],
+  // Days taken off each year's balance when the leave was approved
+  balanceDeductions: [{
+    _id: false,
+    year: Number,
+    days: Number
+  }],
+  // Attendance rows written on approval and what they held before, so a
+  // cancellation can put them back (previousStatus null = row was created)
+  attendanceChanges: [{
+    _id: false,
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    },
+    date: Date,
+    status: String,
+    previousStatus: String
+  }],
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    reason: String,
+    // 'pending' for a withdrawn request, 'approved' for a reversed leave
+    previousStatus: String,
+    // Attendance rows edited after approval, left as they were
+    skippedAttendance: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    }]
+  },
+  // Level of the step currently awaiting action, unset once decided
+  currentLevel: {
+    type: String,
+    enum: ['manager', 'hr']
+  },
   document: {
     type: String, // URL to supporting document
     required: false
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Per-employee, per-year ledger of one leave type. Accrued days are derived
+// from the policy; only the carried-forward opening and usage are stored.
+const LeaveBalanceSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sick', 'casual', 'annual', 'unpaid', 'other'],
+    required: true
+  },
+  carriedForward: {
+    type: Number,
+    default: 0
+  },
+  used: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LeaveBalanceSchema.index({ employee: 1, year: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveBalance', LeaveBalanceSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const EntitlementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sick', 'casual', 'annual', 'unpaid', 'other'],
+    required: true
+  },
+  yearlyDays: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 'monthly' earns yearlyDays / 12 each month, 'yearly' grants it all up front
+  accrual: {
+    type: String,
+    enum: ['monthly', 'yearly'],
+    default: 'yearly'
+  },
+  // Most unused days that roll over into the next year
+  carryForwardMax: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Leave entitlements for a department and/or position. A policy with neither
+// set is the company default; leave types missing from a policy are uncapped.
+const LeavePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  entitlements: [EntitlementSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// One policy per department/position combination
+LeavePolicySchema.index({ department: 1, position: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeavePolicy', LeavePolicySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// One issued version of an offer: the terms and the letter sent with them
+const OfferVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfferTemplate',
+    required: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation',
+    required: true
+  },
+  // Proposed monthly basic pay
+  salary: {
+    type: Number,
+    required: true
+  },
+  joiningDate: {
+    type: Date,
+    required: true
+  },
+  expiresOn: {
+    type: Date,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  // Letter text with the placeholders filled in
+  body: {
+    type: String
+  },
+  file: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A candidate's job offer. Revising it issues a new version; the latest
+// version holds the terms in force.
+const OfferSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'accepted', 'declined', 'expired'],
+    default: 'sent'
+  },
+  versions: [OfferVersionSchema],
+  sentAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  },
+  responseNote: {
+    type: String
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// Terms of the latest version
+OfferSchema.virtual('current').get(function() {
+  return this.versions[this.versions.length - 1];
+});
+
+OfferSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Offer', OfferSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Offer letter template. The body may use {{placeholders}}; see
+// utils/offerLetter.js for the supported names.
+const OfferTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('OfferTemplate', OfferTemplateSchema);
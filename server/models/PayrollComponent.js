@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A configurable earning or deduction applied to every payslip in scope.
+// Fixed components are a monthly amount; percentage components are a share of
+// the employee's basic salary or of their gross pay.
+const PayrollComponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['earning', 'deduction'],
+    required: true
+  },
+  calculation: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    default: 'fixed'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // What a percentage component is a share of
+  base: {
+    type: String,
+    enum: ['basic', 'gross'],
+    default: 'basic'
+  },
+  // Limit the component to a department and/or position; unset applies to all
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('PayrollComponent', PayrollComponentSchema);
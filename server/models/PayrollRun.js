@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Payroll for one month. A draft can be recalculated as attendance and leave
+// change; once locked its payslips are final.
+const PayrollRunSchema = new mongoose.Schema({
+  month: {
+    type: String, // YYYY-MM
+    required: true,
+    unique: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'locked'],
+    default: 'draft'
+  },
+  totals: {
+    employees: { type: Number, default: 0 },
+    grossPay: { type: Number, default: 0 },
+    totalDeductions: { type: Number, default: 0 },
+    netPay: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  calculatedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PayrollRun', PayrollRunSchema);
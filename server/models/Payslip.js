@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const LineSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// One employee's pay for a payroll run. Employee details are copied in so a
+// locked payslip doesn't change when the employee record does.
+const PayslipSchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun',
+    required: true
+  },
+  month: {
+    type: String, // YYYY-MM
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  employeeName: {
+    type: String
+  },
+  // Department name and designation title at the time of the run
+  department: {
+    type: String
+  },
+  position: {
+    type: String
+  },
+  basicSalary: {
+    type: Number,
+    required: true
+  },
+  // Days the employee was scheduled to work in the month
+  workingDays: {
+    type: Number,
+    default: 0
+  },
+  unpaidDays: {
+    notEmployed: { type: Number, default: 0 }, // before joining or after exit
+    absent: { type: Number, default: 0 },
+    unpaidLeave: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  payableDays: {
+    type: Number,
+    default: 0
+  },
+  earnings: [LineSchema],
+  deductions: [LineSchema],
+  grossPay: {
+    type: Number,
+    default: 0
+  },
+  totalDeductions: {
+    type: Number,
+    default: 0
+  },
+  netPay: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PayslipSchema.index({ run: 1, employee: 1 }, { unique: true });
+PayslipSchema.index({ employee: 1, month: 1 });
+
+module.exports = mongoose.model('Payslip', PayslipSchema);
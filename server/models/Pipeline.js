@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// An interview round candidates go through; required rounds must be passed
+// before a candidate can be converted to an employee
+const RoundSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  // What interviewers score on the scorecard, each from 1 to 5
+  criteria: [String]
+});
+
+// Recruitment pipeline: the ordered stages a candidate moves through and the
+// interview rounds on the way. A pipeline with a designation applies to
+// candidates for that designation; one without is the default. Openings may
+// also name their own pipeline.
+const PipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designation'
+  },
+  stages: {
+    type: [String],
+    validate: {
+      validator: stages => stages.length > 0 && new Set(stages).size === stages.length,
+      message: 'A pipeline needs at least one stage and stage names must be unique'
+    }
+  },
+  rounds: [RoundSchema],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('Pipeline', PipelineSchema);
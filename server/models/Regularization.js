@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A request to correct one day's attendance. The record is only changed once
+// the request is approved, and the values it replaced are kept in `original`.
+const RegularizationSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Record being corrected; unset when the day had no record at all
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  requestedStatus: {
+    type: String,
+    enum: ['present', 'absent', 'half-day']
+  },
+  requestedCheckIn: {
+    type: Date
+  },
+  requestedCheckOut: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComment: {
+    type: String
+  },
+  // Attendance as it was before the approved correction (null: no record)
+  original: {
+    status: String,
+    punches: [{
+      _id: false,
+      type: { type: String },
+      time: Date,
+      source: String
+    }],
+    workedHours: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RegularizationSchema.index({ employee: 1, date: 1, status: 1 });
+
+module.exports = mongoose.model('Regularization', RegularizationSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// An employee's shifts for one week. days[0] is Monday ... days[6] is Sunday;
+// a null day is an off day.
+const RosterSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  weekStart: {
+    type: Date, // Monday, local midnight
+    required: true
+  },
+  days: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null
+    }],
+    validate: {
+      validator: days => days.length === 7,
+      message: 'A roster must cover all 7 days of the week'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RosterSchema.index({ employee: 1, weekStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('Roster', RosterSchema);
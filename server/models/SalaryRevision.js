@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One change to an employee's monthly salary. The revision with the latest
+// effective date on or before a given day is the salary on that day.
+const SalaryRevisionSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  salary: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Salary in effect just before this revision, if known
+  previousSalary: {
+    type: Number
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['joining', 'promotion', 'appraisal', 'correction'],
+    required: true
+  },
+  notes: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set once Employee.salary has been brought up to date with this revision
+  applied: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SalaryRevisionSchema.index({ employee: 1, effectiveDate: -1 });
+
+SalaryRevisionSchema.pre('validate', function(next) {
+  if (this.effectiveDate) {
+    this.effectiveDate.setHours(0, 0, 0, 0);
+  }
+  next();
+});
+
+module.exports = mongoose.model('SalaryRevision', SalaryRevisionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Company-wide configuration values, one document per key
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Read a setting, falling back to a default when it has never been set
+SettingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+SettingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId, updatedAt: Date.now() } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A shift template. When endTime is not after startTime the shift crosses
+// midnight and belongs to the day it starts on.
+const ShiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: true,
+    match: TIME_FORMAT
+  },
+  endTime: {
+    type: String, // HH:mm
+    required: true,
+    match: TIME_FORMAT
+  },
+  graceMinutes: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  fullDayHours: {
+    type: Number,
+    default: 8,
+    min: 0
+  },
+  halfDayHours: {
+    type: Number,
+    default: 4,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true }
+});
+
+ShiftSchema.virtual('isNightShift').get(function() {
+  return this.endTime <= this.startTime;
+});
+
+module.exports = mongoose.model('Shift', ShiftSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/tokens');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -17,9 +19,37 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['hr', 'admin'],
+    enum: ['hr', 'admin', 'employee'],
     default: 'hr'
   },
+  // Linked Employee record for self-service portal accounts
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,4 +76,27 @@ UserSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Generate a password reset token, storing only its hash; returns the raw token
+UserSchema.methods.createPasswordResetToken = function(minutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(resetToken);
+  this.passwordResetExpires = Date.now() + minutes * 60 * 1000;
+  return resetToken;
+};
+
+// Whether the account is locked after too many failed logins
+UserSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// Never send password hashes or reset tokens to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,14 +1,153 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
 const Attendance = require('../models/Attendance');
+const Regularization = require('../models/Regularization');
 const Employee = require('../models/Employee');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const Setting = require('../models/Setting');
+const AttendanceImport = require('../models/AttendanceImport');
+const { DEFAULT_RULES, getRules, timeOn, evaluateAttendance } = require('../utils/attendanceRules');
+const { scheduleOn, attendanceDayFor } = require('../utils/shifts');
+const { parseDay } = require('../utils/workCalendar');
+const { parseCsv } = require('../utils/csv');
+const { checkAttendanceEntry } = require('../utils/attendanceEntry');
+const { buildAttendanceReport } = require('../utils/attendanceReport');
+const { defaultRange, markAbsences } = require('../utils/autoAbsence');
+const { EMPLOYEE_SUMMARY } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  create: ['hr', 'admin'],
+  update: ['hr', 'admin'],
+  delete: ['hr', 'admin'],
+  report: ['hr', 'admin'],
+  punch: ['hr', 'admin', 'employee'],
+  configure: ['admin'],
+  bulk: ['hr', 'admin'],
+  autoAbsent: ['hr', 'admin']
+});
+
+const STATUSES = ['present', 'absent', 'half-day', 'leave'];
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// CSV imports are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+// Record a clock-in or clock-out. Employees punch for themselves at the
+// current time; HR and admins may punch for anyone at a given time.
+const punch = (type) => async (req, res) => {
+  try {
+    const isSelf = req.user.role === 'employee';
+    const employee = isSelf ? req.user.employee : req.body.employee;
+    const time = !isSelf && req.body.time ? new Date(req.body.time) : new Date();
+    
+    if (isNaN(time)) {
+      return res.status(400).json({ message: 'Invalid punch time' });
+    }
+    
+    // Check if employee exists and is active
+    const employeeRecord = await Employee.findById(employee);
+    if (!employeeRecord) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    if (employeeRecord.status !== 'active') {
+      return res.status(400).json({ message: 'Only active employees can have attendance records' });
+    }
+    
+    const lastPunchOf = (record) => [...record.punches].sort((a, b) => a.time - b.time).pop();
+    let attendance;
+    
+    if (type === 'in') {
+      // Early-hours punches may belong to yesterday's night shift
+      const day = await attendanceDayFor(employee, time);
+      const dayEnd = new Date(day);
+      dayEnd.setHours(23, 59, 59, 999);
+      
+      attendance = await Attendance.findOne({
+        employee,
+        date: { $gte: day, $lte: dayEnd }
+      });
+      
+      if (!attendance) {
+        attendance = new Attendance({
+          employee,
+          date: day,
+          status: 'present',
+          createdBy: req.user.id
+        });
+      }
+      
+      const lastPunch = lastPunchOf(attendance);
+      if (lastPunch && lastPunch.type === 'in') {
+        return res.status(400).json({ message: 'Already clocked in' });
+      }
+    } else {
+      // Clock out of the latest open record, which may have started yesterday
+      const since = new Date(time);
+      since.setHours(0, 0, 0, 0);
+      since.setDate(since.getDate() - 1);
+      
+      const recent = await Attendance.find({
+        employee,
+        date: { $gte: since, $lte: time }
+      }).sort({ date: -1 });
+      
+      attendance = recent.find(record => {
+        const lastPunch = lastPunchOf(record);
+        return lastPunch && lastPunch.type === 'in' && lastPunch.time <= time;
+      });
+      
+      if (!attendance) {
+        return res.status(400).json({ message: 'Not clocked in' });
+      }
+    }
+    
+    attendance.punches.push({
+      type,
+      time,
+      source: isSelf ? 'self' : 'manual',
+      recordedBy: req.user.id
+    });
+    
+    // A punch replaces an absence the unmarked-days job filled in
+    attendance.autoMarked = false;
+    
+    // Evaluate against the shift the employee is rostered on that day
+    evaluateAttendance(attendance, await scheduleOn(employee, attendance.date));
+    await attendance.save();
+    
+    // Populate employee details
+    await attendance.populate(EMPLOYEE_SUMMARY);
+    
+    res.json(attendance);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
 // @route   GET api/attendance
 // @desc    Get all attendance records
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
   try {
     const { date, employee, status, sort } = req.query;
     let query = {};
@@ -43,7 +182,7 @@ router.get('/', auth, async (req, res) => {
     }
     
     const attendance = await Attendance.find(query)
-      .populate('employee', 'name position department')
+      .populate(EMPLOYEE_SUMMARY)
       .sort(sortOption);
     
     res.json(attendance);
@@ -55,29 +194,15 @@ router.get('/', auth, async (req, res) => {
 
 // @route   POST api/attendance
 // @desc    Create an attendance record
-// @access  Private
-router.post('/', auth, async (req, res) => {
+// @access  Private (HR, Admin)
+router.post('/', auth, can('create'), async (req, res) => {
   try {
     const { employee, date, status } = req.body;
     
-    // Check if employee exists and is active
-    const employeeRecord = await Employee.findById(employee);
-    if (!employeeRecord) {
-      return res.status(404).json({ message: 'Employee not found' });
-    }
-    
-    if (employeeRecord.status !== 'active') {
-      return res.status(400).json({ message: 'Only active employees can have attendance records' });
-    }
-    
-    // Check if attendance record already exists for this employee on this date
-    const existingAttendance = await Attendance.findOne({
-      employee,
-      date: new Date(date)
-    });
-    
-    if (existingAttendance) {
-      return res.status(400).json({ message: 'Attendance record already exists for this employee on this date' });
+    // Check the employee is active and not already marked for this date
+    const entry = await checkAttendanceEntry(employee, new Date(date));
+    if (entry.message) {
+      return res.status(entry.status).json({ message: entry.message });
     }
     
     // Create new attendance record
@@ -91,7 +216,7 @@ router.post('/', auth, async (req, res) => {
     const attendance = await newAttendance.save();
     
     // Populate employee details
-    await attendance.populate('employee', 'name position department');
+    await attendance.populate(EMPLOYEE_SUMMARY);
     
     res.json(attendance);
   } catch (err) {
@@ -100,37 +225,396 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/attendance/bulk
+// @desc    Mark attendance for a whole department (or company) on one date.
+//          Body: { date, status = 'present', department?, overrides?: [{ employee, status }] }
+// @access  Private (HR, Admin)
+router.post('/bulk', auth, can('bulk'), [
+  check('date', 'A valid date is required').isISO8601(),
+  check('status', 'Invalid status').optional().isIn(STATUSES),
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId(),
+  check('overrides', 'Overrides must be a list').optional().isArray(),
+  check('overrides.*.status', 'Invalid status').optional().isIn(STATUSES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { department, overrides = [] } = req.body;
+    const defaultStatus = req.body.status || 'present';
+    const date = parseDay(req.body.date);
+    
+    const overrideStatus = new Map(overrides.map(override => [String(override.employee), override.status]));
+    
+    const query = { status: 'active' };
+    if (department) {
+      query.department = department;
+    }
+    
+    const employees = await Employee.find(query).select('name department').sort({ name: 1 });
+    const results = [];
+    
+    for (const employee of employees) {
+      const status = overrideStatus.get(employee.id) || defaultStatus;
+      const row = { employee: employee._id, name: employee.name, status };
+      
+      // Same checks as a single entry; existing records are left untouched
+      const entry = await checkAttendanceEntry(employee._id, date);
+      if (entry.message) {
+        results.push({ ...row, result: 'skipped', message: entry.message });
+        continue;
+      }
+      
+      const attendance = await new Attendance({
+        employee: employee._id,
+        date,
+        status,
+        createdBy: req.user.id
+      }).save();
+      
+      results.push({ ...row, result: 'created', attendance: attendance._id });
+    }
+    
+    res.json({
+      date,
+      created: results.filter(result => result.result === 'created').length,
+      skipped: results.filter(result => result.result === 'skipped').length,
+      results
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/attendance/import/preview
+// @desc    Upload a biometric CSV export and validate it without saving
+//          attendance. Columns: employee (id or email), date, and either
+//          status or check_in/check_out (HH:mm)
+// @access  Private (HR, Admin)
+router.post('/import/preview', auth, can('bulk'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV file is required' });
+    }
+    
+    const records = parseCsv(req.file.buffer.toString('utf8'));
+    if (!records.length) {
+      return res.status(400).json({ message: 'The file has no rows' });
+    }
+    
+    // Resolve every employee reference (id or email) in one query
+    const refs = records.map(record => (record.employee || record.employee_id || record.email || '').trim());
+    const ids = refs.filter(ref => mongoose.Types.ObjectId.isValid(ref));
+    const employees = await Employee.find({
+      $or: [{ _id: { $in: ids } }, { email: { $in: refs } }]
+    }).select('email');
+    const byRef = new Map();
+    employees.forEach(employee => {
+      byRef.set(employee.id, employee);
+      byRef.set(employee.email, employee);
+    });
+    
+    const seen = new Set();
+    const rows = [];
+    
+    for (const [index, record] of records.entries()) {
+      const row = { row: index + 1, employeeRef: refs[index], issues: [] };
+      const employee = byRef.get(refs[index]);
+      const date = parseDay(record.date);
+      const status = (record.status || '').toLowerCase();
+      const checkIn = record.check_in || record.checkin;
+      const checkOut = record.check_out || record.checkout;
+      
+      if (!employee) row.issues.push('Employee not found');
+      if (!date) row.issues.push('Invalid date');
+      if (status && !STATUSES.includes(status)) row.issues.push(`Invalid status "${record.status}"`);
+      if (!status && !checkIn) row.issues.push('Either status or check_in is required');
+      if (checkIn && !TIME_FORMAT.test(checkIn)) row.issues.push('check_in must be HH:mm');
+      if (checkOut && !TIME_FORMAT.test(checkOut)) row.issues.push('check_out must be HH:mm');
+      
+      if (employee && date) {
+        row.employee = employee._id;
+        row.date = date;
+        
+        const key = `${employee.id}:${date.getTime()}`;
+        if (seen.has(key)) {
+          row.issues.push('Duplicate row for this employee and date');
+        }
+        seen.add(key);
+        
+        const entry = await checkAttendanceEntry(employee._id, date);
+        if (entry.message) row.issues.push(entry.message);
+      }
+      
+      if (status) row.status = status;
+      if (date && checkIn && TIME_FORMAT.test(checkIn)) {
+        row.checkIn = timeOn(date, checkIn);
+        if (checkOut && TIME_FORMAT.test(checkOut)) {
+          row.checkOut = timeOn(date, checkOut);
+          // Check-out before check-in: a night shift ending the next day
+          if (row.checkOut <= row.checkIn) {
+            row.checkOut.setDate(row.checkOut.getDate() + 1);
+          }
+        }
+      }
+      
+      rows.push(row);
+    }
+    
+    const attendanceImport = await new AttendanceImport({
+      fileName: req.file.originalname,
+      rows,
+      createdBy: req.user.id
+    }).save();
+    
+    res.json({
+      _id: attendanceImport._id,
+      valid: rows.filter(row => !row.issues.length).length,
+      invalid: rows.filter(row => row.issues.length).length,
+      rows: attendanceImport.rows
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/attendance/import/:id/commit
+// @desc    Save the valid rows of a previewed import; rows are re-checked
+// @access  Private (HR, Admin)
+router.post('/import/:id/commit', auth, can('bulk'), async (req, res) => {
+  try {
+    const attendanceImport = await AttendanceImport.findById(req.params.id);
+    
+    if (!attendanceImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    
+    if (attendanceImport.status === 'committed') {
+      return res.status(400).json({ message: 'Import has already been committed' });
+    }
+    
+    for (const row of attendanceImport.rows) {
+      if (row.issues.length) {
+        row.result = 'error';
+        continue;
+      }
+      
+      // Things may have changed since the preview
+      const entry = await checkAttendanceEntry(row.employee, row.date);
+      if (entry.message) {
+        row.issues.push(entry.message);
+        row.result = 'skipped';
+        continue;
+      }
+      
+      const attendance = new Attendance({
+        employee: row.employee,
+        date: row.date,
+        status: row.status || 'present',
+        createdBy: req.user.id
+      });
+      
+      if (row.checkIn) {
+        attendance.punches.push({ type: 'in', time: row.checkIn, source: 'device', recordedBy: req.user.id });
+        if (row.checkOut) {
+          attendance.punches.push({ type: 'out', time: row.checkOut, source: 'device', recordedBy: req.user.id });
+        }
+        
+        evaluateAttendance(attendance, await scheduleOn(row.employee, row.date));
+        
+        // An explicit status in the file wins over the derived one
+        if (row.status) attendance.status = row.status;
+      }
+      
+      await attendance.save();
+      row.attendance = attendance._id;
+      row.result = 'created';
+    }
+    
+    attendanceImport.status = 'committed';
+    attendanceImport.committedAt = Date.now();
+    await attendanceImport.save();
+    
+    res.json({
+      _id: attendanceImport._id,
+      created: attendanceImport.rows.filter(row => row.result === 'created').length,
+      skipped: attendanceImport.rows.filter(row => row.result === 'skipped').length,
+      errors: attendanceImport.rows.filter(row => row.result === 'error').length,
+      rows: attendanceImport.rows
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/attendance/auto-absent
+// @desc    Mark active employees absent on past working days with no
+//          attendance, approved leave or holiday. Defaults to the scheduled
+//          job's lookback window; dryRun lists the days without saving.
+// @access  Private (HR, Admin)
+router.post('/auto-absent', auth, can('autoAbsent'), [
+  check('from', 'From must be a valid date').optional().isISO8601(),
+  check('to', 'To must be a valid date').optional().isISO8601(),
+  check('dryRun', 'dryRun must be true or false').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const range = defaultRange();
+    const from = req.body.from ? parseDay(req.body.from) : range.from;
+    const to = req.body.to ? parseDay(req.body.to) : range.to;
+    
+    if (from > to) {
+      return res.status(400).json({ message: 'From date must be on or before to date' });
+    }
+    
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'Date range cannot exceed one year' });
+    }
+    
+    const result = await markAbsences({
+      from,
+      to,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      userId: req.user.id
+    });
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/attendance/clock-in
+// @desc    Clock in (employees for themselves, HR/Admin for anyone)
+// @access  Private (HR, Admin, Employee)
+router.post('/clock-in', auth, can('punch'), punch('in'));
+
+// @route   POST api/attendance/clock-out
+// @desc    Clock out and recompute worked hours and status
+// @access  Private (HR, Admin, Employee)
+router.post('/clock-out', auth, can('punch'), punch('out'));
+
+// @route   GET api/attendance/rules
+// @desc    Get working hours and present/half-day thresholds
+// @access  Private (HR, Admin)
+router.get('/rules', auth, can('read'), async (req, res) => {
+  try {
+    res.json(await getRules());
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/attendance/rules
+// @desc    Update working hours and present/half-day thresholds
+// @access  Private (Admin)
+router.put('/rules', auth, can('configure'), [
+  check('workStart', 'Work start must be HH:mm').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  check('workEnd', 'Work end must be HH:mm').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  check('graceMinutes', 'Grace minutes must be a non-negative number').optional().isInt({ min: 0 }),
+  check('fullDayHours', 'Full day hours must be between 0 and 24').optional().isFloat({ min: 0, max: 24 }),
+  check('halfDayHours', 'Half day hours must be between 0 and 24').optional().isFloat({ min: 0, max: 24 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const rules = await getRules();
+    for (const key of Object.keys(DEFAULT_RULES)) {
+      if (req.body[key] !== undefined) {
+        rules[key] = typeof DEFAULT_RULES[key] === 'number' ? Number(req.body[key]) : req.body[key];
+      }
+    }
+    
+    if (rules.halfDayHours > rules.fullDayHours) {
+      return res.status(400).json({ message: 'Half day hours cannot exceed full day hours' });
+    }
+    
+    await Setting.setValue('attendanceRules', rules, req.user.id);
+    res.json(rules);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   PUT api/attendance/:id
-// @desc    Update an attendance record
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @desc    Correct the status of an attendance record. The change is recorded
+//          as an approved regularization, with the reason and the values it
+//          replaced, like any other correction.
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('update'), [
+  check('status', 'Status must be present, absent or half-day').isIn(['present', 'absent', 'half-day']),
+  check('reason', 'A reason is required to correct attendance').trim().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
-    let attendance = await Attendance.findById(req.params.id);
+    const attendance = await Attendance.findById(req.params.id);
     
     if (!attendance) {
       return res.status(404).json({ message: 'Attendance record not found' });
     }
     
-    // Update attendance
-    attendance = await Attendance.findByIdAndUpdate(
-      req.params.id,
-      { $set: { status } },
-      { new: true }
-    ).populate('employee', 'name position department');
+    if (attendance.leave) {
+      return res.status(400).json({ message: 'This day is covered by an approved leave; cancel the leave instead' });
+    }
+    
+    const regularization = await new Regularization({
+      employee: attendance.employee,
+      date: attendance.date,
+      attendance: attendance._id,
+      requestedStatus: status,
+      reason,
+      status: 'approved',
+      requestedBy: req.user.id,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now(),
+      reviewComment: 'Corrected directly on the attendance record',
+      original: { status: attendance.status, punches: attendance.punches, workedHours: attendance.workedHours }
+    }).save();
+    
+    attendance.status = status;
+    attendance.autoMarked = false;
+    attendance.regularization = regularization._id;
+    await attendance.save();
     
+    await attendance.populate(EMPLOYEE_SUMMARY);
     res.json(attendance);
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
     res.status(500).send('Server error');
   }
 });
 
 // @route   DELETE api/attendance/:id
 // @desc    Delete an attendance record
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (HR, Admin)
+router.delete('/:id', auth, can('delete'), async (req, res) => {
   try {
     const attendance = await Attendance.findById(req.params.id);
     
@@ -150,11 +634,21 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   GET api/attendance/report
-// @desc    Get attendance report
-// @access  Private
-router.get('/report', auth, async (req, res) => {
+// @desc    Get attendance analytics: per-employee attendance percentage and
+//          lateness against their schedule, daily and monthly trends,
+//          department and position rollups, and top absentees.
+//          Query: startDate, endDate, department?, top? (absentees, default 10)
+// @access  Private (HR, Admin)
+router.get('/report', auth, can('report'), [
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, department } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ message: 'Start date and end date are required' });
@@ -166,40 +660,11 @@ router.get('/report', auth, async (req, res) => {
     const end = new Date(endDate);
     end.setHours(23, 59, 59, 999);
     
-    // Get all active employees
-    const employees = await Employee.find({ status: 'active' }).select('name position department');
-    
-    // Get attendance records for the date range
-    const attendanceRecords = await Attendance.find({
-      date: { $gte: start, $lte: end }
-    }).populate('employee', 'name position department');
-    
-    // Create report
-    const report = employees.map(employee => {
-      const employeeAttendance = attendanceRecords.filter(record => 
-        record.employee._id.toString() === employee._id.toString()
-      );
-      
-      const present = employeeAttendance.filter(record => record.status === 'present').length;
-      const absent = employeeAttendance.filter(record => record.status === 'absent').length;
-      const halfDay = employeeAttendance.filter(record => record.status === 'half-day').length;
-      const leave = employeeAttendance.filter(record => record.status === 'leave').length;
-      
-      return {
-        employee: {
-          _id: employee._id,
-          name: employee.name,
-          position: employee.position,
-          department: employee.department
-        },
-        attendance: {
-          present,
-          absent,
-          halfDay,
-          leave,
-          total: present + absent + halfDay + leave
-        }
-      };
+    const report = await buildAttendanceReport({
+      start,
+      end,
+      department,
+      top: Number(req.query.top) || 10
     });
     
     res.json(report);
@@ -1,18 +1,91 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const {
+  hashToken,
+  parseSessionId,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
 const { check, validationResult } = require('express-validator');
 
 const router = express.Router();
 
-// @route   POST api/auth/register
-// @desc    Register a user
-// @access  Public
-router.post('/register', [
+// Role permissions for this router
+const can = permit({
+  register: ['admin']
+});
+
+// Lockout and reset policy
+const MAX_LOGIN_ATTEMPTS = Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 30;
+
+const userValidation = [
   check('name', 'Name is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+];
+
+// @route   POST api/auth/setup
+// @desc    Create the first admin account (only while no users exist)
+// @access  Public
+router.post('/setup', userValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, email, password } = req.body;
+
+  try {
+    const userCount = await User.countDocuments();
+    if (userCount > 0) {
+      return res.status(403).json({ message: 'Setup has already been completed' });
+    }
+
+    // Claim setup through the unique settings key, so of concurrent requests
+    // only one creates an admin
+    await Setting.create({ key: 'setupCompleted', value: true });
+
+    const user = new User({
+      name,
+      email,
+      password,
+      role: 'admin'
+    });
+
+    try {
+      await user.save();
+    } catch (err) {
+      // Let setup be retried
+      await Setting.deleteOne({ key: 'setupCompleted' });
+      throw err;
+    }
+
+    res.json(await createSession(user, req));
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(403).json({ message: 'Setup has already been completed' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/register
+// @desc    Register a user
+// @access  Private (Admin)
+router.post('/register', auth, can('register'), [
+  ...userValidation,
+  check('role', 'Role must be hr or admin').optional().isIn(['hr', 'admin'])
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -38,23 +111,7 @@ router.post('/register', [
 
     await user.save();
 
-    // Create JWT token (2 hour expiration)
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '2h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    res.json(user);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -82,29 +139,212 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json({ message: 'Account is locked due to too many failed logins, try again later' });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      user.failedLoginAttempts += 1;
+      if (user.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+        user.lockUntil = Date.now() + LOCKOUT_MINUTES * 60 * 1000;
+        user.failedLoginAttempts = 0;
+      }
+      await user.save();
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT token (2 hour expiration)
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '2h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    if (!user.active) {
+      return res.status(403).json({ message: 'Account has been deactivated' });
+    }
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+    }
+
+    res.json(await createSession(user, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair (rotates the refresh token)
+// @access  Public
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { refreshToken } = req.body;
+
+  try {
+    const sessionId = parseSessionId(refreshToken);
+    const session = mongoose.Types.ObjectId.isValid(sessionId) && await Session.findById(sessionId);
+
+    if (!session || session.revokedAt || session.expiresAt < Date.now()) {
+      return res.status(401).json({ message: 'Invalid refresh token, please login again' });
+    }
+
+    // An already-rotated token being replayed means it leaked: kill the session
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      await revokeSession(session, 'token-reuse');
+      return res.status(401).json({ message: 'Invalid refresh token, please login again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account is no longer active' });
+    }
+
+    res.json(await rotateSession(session, user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    await revokeSession(session, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, 'logout-all');
+    res.json({ message: 'Logged out of all sessions', sessions: result.modifiedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/auth/password
+// @desc    Change the current user's password (ends their other sessions)
+// @access  Private
+router.put('/password', auth, [
+  check('currentPassword', 'Current password is required').not().isEmpty(),
+  check('newPassword', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = Date.now();
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change', req.user.sessionId);
+
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a time-limited password reset link
+// @access  Public
+router.post('/forgot-password', [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Same answer whether or not the account exists, so emails can't be probed
+  const response = { message: 'If that email is registered, a reset link has been sent' };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.active) {
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken(RESET_TOKEN_MINUTES);
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your HRMS password',
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. ` +
+        `It expires in ${RESET_TOKEN_MINUTES} minutes.\n\n${resetUrl}\n\n` +
+        'If you did not ask for a reset, you can ignore this email.'
+    });
+
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with a reset token (ends all sessions)
+// @access  Public
+router.post('/reset-password', [
+  check('token', 'Reset token is required').not().isEmpty(),
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, password } = req.body;
+
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = Date.now();
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change');
+
+    res.json({ message: 'Password has been reset, please login' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
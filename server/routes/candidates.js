@@ -4,10 +4,34 @@ const path = require('path');
 const fs = require('fs');
 const Candidate = require('../models/Candidate');
 const Employee = require('../models/Employee');
+const Interview = require('../models/Interview');
+const JobOpening = require('../models/JobOpening');
+const Offer = require('../models/Offer');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { reviseSalary } = require('../utils/salary');
+const { startOnboarding } = require('../utils/employeeEvents');
+const { checkOrgRefs, findDesignationByTitle } = require('../utils/orgStructure');
+const {
+  pipelineForApplication,
+  candidatePipeline,
+  recordStageChange,
+  outstandingRounds
+} = require('../utils/recruitment');
+const { closeIfFilled } = require('../utils/openings');
 
 const router = express.Router();
 
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  create: ['hr', 'admin'],
+  update: ['hr', 'admin'],
+  delete: ['hr', 'admin'],
+  stage: ['hr', 'admin'],
+  convert: ['hr', 'admin']
+});
+
 // Multer Storage Configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -22,6 +46,12 @@ const storage = multer.diskStorage({
   }
 });
 
+// Candidates can only apply against an open opening
+const findOpenOpening = async (id) => {
+  const opening = await JobOpening.findById(id).catch(() => null);
+  return opening && opening.status === 'open' ? opening : null;
+};
+
 const upload = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 },
@@ -39,9 +69,9 @@ const upload = multer({
 });
 
 // GET all candidates
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, can('read'), async (req, res) => {
   try {
-    const { search, status, sort } = req.query;
+    const { search, status, stage, pipeline, opening, sort } = req.query;
     let query = {};
 
     if (search) {
@@ -58,6 +88,10 @@ router.get('/', auth, async (req, res) => {
       query.status = status;
     }
 
+    if (stage) query.stage = stage;
+    if (pipeline) query.pipeline = pipeline;
+    if (opening) query.opening = opening;
+
     let sortOption = { createdAt: -1 };
     if (sort === 'name') sortOption = { name: 1 };
     else if (sort === 'position') sortOption = { position: 1 };
@@ -70,24 +104,35 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// POST create candidate
-router.post('/', auth, upload.single('resume'), async (req, res) => {
+// POST create candidate, optionally against a job opening. It enters the
+// opening's pipeline (or the one for its position) at the first stage.
+router.post('/', auth, can('create'), upload.single('resume'), async (req, res) => {
   try {
-    const { name, email, phone, position, experience } = req.body;
+    const { name, email, phone, experience } = req.body;
 
     const existingCandidate = await Candidate.findOne({ email });
     if (existingCandidate) {
       return res.status(400).json({ message: 'Candidate with this email already exists' });
     }
 
+    const opening = req.body.opening ? await findOpenOpening(req.body.opening) : null;
+    if (req.body.opening && !opening) return res.status(400).json({ message: 'Job opening is not open' });
+
+    const position = req.body.position || (opening && opening.title);
+    const pipeline = await pipelineForApplication({ opening, position });
+
     const newCandidate = new Candidate({
       name,
       email,
       phone,
+      opening: opening ? opening._id : undefined,
       position,
       experience,
+      pipeline: pipeline ? pipeline._id : undefined,
+      stage: pipeline ? pipeline.stages[0] : undefined,
       resume: req.file ? `uploads/resumes/${req.file.filename}` : ''
     });
+    recordStageChange(newCandidate, req.user.id, 'Applied');
 
     const candidate = await newCandidate.save();
     res.json(candidate);
@@ -97,22 +142,30 @@ router.post('/', auth, upload.single('resume'), async (req, res) => {
   }
 });
 
-// GET candidate by ID
-router.get('/:id', auth, async (req, res) => {
+// GET candidate by ID, with its pipeline, stage history and interviews
+router.get('/:id', auth, can('read'), async (req, res) => {
   try {
-    const candidate = await Candidate.findById(req.params.id);
+    const candidate = await Candidate.findById(req.params.id)
+      .populate('pipeline')
+      .populate('stageHistory.changedBy', 'name');
     if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
-    res.json(candidate);
+
+    const interviews = await Interview.find({ candidate: candidate._id })
+      .populate('interviewers', 'name email')
+      .sort({ scheduledAt: 1 });
+
+    res.json({ ...candidate.toObject(), interviews });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-// PUT update candidate
-router.put('/:id', auth, upload.single('resume'), async (req, res) => {
+// PUT update candidate. Moving to another opening restarts its pipeline,
+// which is only possible before any interview has been scheduled.
+router.put('/:id', auth, can('update'), upload.single('resume'), async (req, res) => {
   try {
-    const { name, email, phone, position, experience, status } = req.body;
+    const { name, email, phone, position, experience, status, opening } = req.body;
 
     const candidateFields = {};
     if (name) candidateFields.name = name;
@@ -123,29 +176,49 @@ router.put('/:id', auth, upload.single('resume'), async (req, res) => {
     if (status) candidateFields.status = status;
     if (req.file) candidateFields.resume = `uploads/resumes/${req.file.filename}`;
 
-    let candidate = await Candidate.findById(req.params.id);
+    const candidate = await Candidate.findById(req.params.id);
     if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
 
-    candidate = await Candidate.findByIdAndUpdate(
-      req.params.id,
-      { $set: candidateFields },
-      { new: true }
-    );
+    const statusChanged = status && status !== candidate.status;
+    if (statusChanged && (status === 'hired' || candidate.status === 'hired')) {
+      return res.status(400).json({ message: 'Candidates are hired by converting them to employees' });
+    }
+
+    const openingChanged = opening && String(opening) !== String(candidate.opening);
+    const newOpening = openingChanged ? await findOpenOpening(opening) : null;
+    if (openingChanged && !newOpening) return res.status(400).json({ message: 'Job opening is not open' });
+    if (openingChanged && await Interview.exists({ candidate: candidate._id })) {
+      return res.status(400).json({ message: 'Candidate already has interviews; the opening can no longer change' });
+    }
+
+    candidate.set(candidateFields);
+    if (statusChanged) recordStageChange(candidate, req.user.id, req.body.note);
 
+    if (newOpening) {
+      const pipeline = await pipelineForApplication({ opening: newOpening, position: candidate.position });
+      candidate.opening = newOpening._id;
+      candidate.pipeline = pipeline ? pipeline._id : undefined;
+      candidate.stage = pipeline ? pipeline.stages[0] : undefined;
+      recordStageChange(candidate, req.user.id, `Moved to opening ${newOpening.title}`);
+    }
+
+    await candidate.save();
     res.json(candidate);
   } catch (err) {
     console.error(err.message);
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
     res.status(500).send('Server error');
   }
 });
 
 // DELETE candidate
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, can('delete'), async (req, res) => {
   try {
     const candidate = await Candidate.findById(req.params.id);
     if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
 
     await candidate.remove();
+    await Interview.deleteMany({ candidate: candidate._id });
     res.json({ message: 'Candidate removed' });
   } catch (err) {
     console.error(err.message);
@@ -153,10 +226,42 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Convert candidate to employee
-router.post('/:id/convert', auth, async (req, res) => {
+// PUT move candidate to another stage of its pipeline. Candidates added before
+// any pipeline existed join the one for their opening or position.
+router.put('/:id/stage', auth, can('stage'), async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
+
+    const pipeline = await candidatePipeline(candidate);
+    if (!pipeline) return res.status(400).json({ message: 'Candidate is not in a recruitment pipeline' });
+    if (!pipeline.stages.includes(stage)) {
+      return res.status(400).json({ message: `Stage must be one of: ${pipeline.stages.join(', ')}` });
+    }
+    if (stage === candidate.stage) {
+      return res.status(400).json({ message: `Candidate is already in ${stage}` });
+    }
+
+    candidate.pipeline = pipeline._id;
+    candidate.stage = stage;
+    recordStageChange(candidate, req.user.id, note);
+    await candidate.save();
+
+    res.json(candidate);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Convert candidate to employee once every required interview round of its
+// pipeline is passed and any offer made is accepted. Department, designation,
+// joining date and salary default to the accepted offer's terms, then to the
+// opening's; without either the designation is the one whose title matches
+// the position. Hiring the last of an opening's headcount closes it.
+router.post('/:id/convert', auth, can('convert'), async (req, res) => {
   try {
-    const { department, joiningDate, salary } = req.body;
     const candidate = await Candidate.findById(req.params.id);
 
     if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
@@ -164,25 +269,68 @@ router.post('/:id/convert', auth, async (req, res) => {
       return res.status(400).json({ message: 'Only selected candidates can be converted to employees' });
     }
 
+    const outstanding = await outstandingRounds(candidate);
+    if (!outstanding) {
+      return res.status(400).json({ message: 'Candidate\'s recruitment pipeline no longer exists; interview rounds cannot be checked' });
+    }
+    if (outstanding.length) {
+      return res.status(400).json({ message: `Required interview rounds not passed: ${outstanding.join(', ')}` });
+    }
+
     const existingEmployee = await Employee.findOne({ email: candidate.email });
     if (existingEmployee) {
       return res.status(400).json({ message: 'Employee with this email already exists' });
     }
 
+    const opening = candidate.opening && await JobOpening.findById(candidate.opening);
+    if (opening && opening.status !== 'open') {
+      return res.status(400).json({ message: `Job opening is ${opening.status}; only open openings can hire` });
+    }
+
+    const offer = await Offer.findOne({ candidate: candidate._id });
+    if (offer && offer.status !== 'accepted') {
+      return res.status(400).json({ message: `Offer is ${offer.status}; only candidates who accepted can be converted` });
+    }
+
+    const terms = offer ? offer.current : {};
+    const department = req.body.department || terms.department || (opening && opening.department);
+    const joiningDate = req.body.joiningDate || terms.joiningDate;
+    const salary = req.body.salary || terms.salary;
+
+    const preset = req.body.position || terms.position || (opening && opening.position);
+    const match = preset ? null : await findDesignationByTitle(candidate.position);
+    const designation = preset || (match && match._id);
+    if (!designation) {
+      return res.status(400).json({ message: `No designation matches "${candidate.position}"; choose a position` });
+    }
+
+    const orgError = await checkOrgRefs({ department, position: designation });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
+
     const newEmployee = new Employee({
       name: candidate.name,
       email: candidate.email,
       phone: candidate.phone,
-      position: candidate.position,
+      position: designation,
       department,
       joiningDate,
       salary,
-      candidateId: candidate._id
+      candidateId: candidate._id,
+      documents: offer && offer.current.file
+        ? [{ type: 'offer-letter', name: offer.current.subject, file: offer.current.file, uploadedBy: req.user.id }]
+        : []
     });
 
     const employee = await newEmployee.save();
-    candidate.status = 'selected';
+    candidate.status = 'hired';
+    recordStageChange(candidate, req.user.id, 'Converted to employee');
     await candidate.save();
+    if (opening) await closeIfFilled(opening._id);
+
+    await reviseSalary(employee, { salary, effectiveDate: joiningDate, reason: 'joining' }, req.user.id);
+    await startOnboarding(employee, req.user.id);
 
     res.json(employee);
   } catch (err) {
@@ -192,7 +340,7 @@ router.post('/:id/convert', auth, async (req, res) => {
 });
 
 // Download candidate resume
-router.get('/:id/resume', auth, async (req, res) => {
+router.get('/:id/resume', auth, can('read'), async (req, res) => {
   try {
     const candidate = await Candidate.findById(req.params.id);
     if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
@@ -0,0 +1,231 @@
+const express = require('express');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { findDepartmentByName, findOrgReferences, createsCycle, buildDepartmentTree } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['admin']
+});
+
+const departmentValidation = [
+  check('name', 'Name is required').trim().not().isEmpty(),
+  check('parent', 'Parent must be a department id').optional({ checkFalsy: true }).isMongoId(),
+  check('head', 'Head must be an employee id').optional({ checkFalsy: true }).isMongoId()
+];
+
+// Check the parent and head of a department. Returns an error message, or
+// null when they are valid.
+const checkDepartmentRefs = async ({ parent, head }, departmentId) => {
+  if (parent) {
+    if (!(await Department.exists({ _id: parent }))) {
+      return 'Parent department not found';
+    }
+    if (departmentId && await createsCycle(departmentId, parent)) {
+      return 'A department cannot be placed under itself or one of its sub-departments';
+    }
+  }
+
+  if (head && !(await Employee.exists({ _id: head, status: 'active' }))) {
+    return 'Department head must be an active employee';
+  }
+
+  return null;
+};
+
+// @route   GET api/departments
+// @desc    Get all departments with their employee counts
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.active = req.query.active === 'true';
+    }
+
+    const departments = await Department.find(query)
+      .populate('parent', 'name')
+      .populate('head', 'name email')
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await Employee.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$department', employees: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(count => [String(count._id), count.employees]));
+
+    res.json(departments.map(department => ({
+      ...department,
+      employees: countById.get(String(department._id)) || 0
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/departments/tree
+// @desc    Get active departments nested under their parents
+// @access  Private (HR, Admin)
+router.get('/tree', auth, can('read'), async (req, res) => {
+  try {
+    res.json(await buildDepartmentTree());
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/departments
+// @desc    Create a department
+// @access  Private (Admin)
+router.post('/', auth, can('manage'), departmentValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, code, description, parent, head } = req.body;
+
+    if (await findDepartmentByName(name)) {
+      return res.status(400).json({ message: 'A department with this name already exists' });
+    }
+
+    const refError = await checkDepartmentRefs({ parent, head });
+    if (refError) {
+      return res.status(400).json({ message: refError });
+    }
+
+    const newDepartment = new Department({
+      name,
+      code,
+      description,
+      parent: parent || undefined,
+      head: head || undefined
+    });
+
+    const department = await newDepartment.save();
+    res.json(department);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/departments/:id
+// @desc    Get a department with its sub-departments
+// @access  Private (HR, Admin)
+router.get('/:id', auth, can('read'), async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('parent', 'name')
+      .populate('head', 'name email');
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const children = await Department.find({ parent: department._id }).select('name code active').sort({ name: 1 });
+
+    res.json({ ...department.toObject(), children });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/departments/:id
+// @desc    Update a department
+// @access  Private (Admin)
+router.put('/:id', auth, can('manage'), departmentValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, code, description, parent, head, active } = req.body;
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const duplicate = await findDepartmentByName(name);
+    if (duplicate && !duplicate._id.equals(department._id)) {
+      return res.status(400).json({ message: 'A department with this name already exists' });
+    }
+
+    const refError = await checkDepartmentRefs({ parent, head }, department._id);
+    if (refError) {
+      return res.status(400).json({ message: refError });
+    }
+
+    department.name = name;
+    if (code !== undefined) department.code = code;
+    if (description !== undefined) department.description = description;
+    department.parent = parent || undefined;
+    department.head = head || undefined;
+    if (active !== undefined) department.active = active;
+    department.updatedAt = Date.now();
+
+    await department.save();
+    res.json(department);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/departments/:id
+// @desc    Delete a department nothing refers to (employees, sub-departments,
+//          policies, payroll components, openings, offers or event history)
+// @access  Private (Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (await Employee.exists({ department: department._id })) {
+      return res.status(400).json({ message: 'Department has employees; move them or deactivate it instead' });
+    }
+
+    if (await Department.exists({ parent: department._id })) {
+      return res.status(400).json({ message: 'Department has sub-departments' });
+    }
+
+    const references = await findOrgReferences('department', department._id);
+    if (references.length) {
+      return res.status(400).json({ message: `Department is still used by ${references.join(', ')}; deactivate it instead` });
+    }
+
+    await department.remove();
+    res.json({ message: 'Department removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
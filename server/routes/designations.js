@@ -0,0 +1,141 @@
+const express = require('express');
+const Designation = require('../models/Designation');
+const Employee = require('../models/Employee');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { findDesignationByTitle, findOrgReferences } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['admin']
+});
+
+const designationValidation = [
+  check('title', 'Title is required').trim().not().isEmpty(),
+  check('level', 'Level must be a non-negative whole number').optional({ nullable: true }).isInt({ min: 0 })
+];
+
+// @route   GET api/designations
+// @desc    Get all designations, most senior first
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.active = req.query.active === 'true';
+    }
+
+    const designations = await Designation.find(query).sort({ level: -1, title: 1 });
+    res.json(designations);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/designations
+// @desc    Create a designation
+// @access  Private (Admin)
+router.post('/', auth, can('manage'), designationValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, level, description } = req.body;
+
+    if (await findDesignationByTitle(title)) {
+      return res.status(400).json({ message: 'A designation with this title already exists' });
+    }
+
+    const newDesignation = new Designation({ title, level, description });
+
+    const designation = await newDesignation.save();
+    res.json(designation);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/designations/:id
+// @desc    Update a designation
+// @access  Private (Admin)
+router.put('/:id', auth, can('manage'), designationValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, level, description, active } = req.body;
+
+    const duplicate = await findDesignationByTitle(title);
+    if (duplicate && duplicate.id !== req.params.id) {
+      return res.status(400).json({ message: 'A designation with this title already exists' });
+    }
+
+    const designationFields = { title, updatedAt: Date.now() };
+    if (level !== undefined) designationFields.level = level;
+    if (description !== undefined) designationFields.description = description;
+    if (active !== undefined) designationFields.active = active;
+
+    const designation = await Designation.findByIdAndUpdate(
+      req.params.id,
+      { $set: designationFields },
+      { new: true, runValidators: true }
+    );
+
+    if (!designation) {
+      return res.status(404).json({ message: 'Designation not found' });
+    }
+
+    res.json(designation);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Designation not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/designations/:id
+// @desc    Delete a designation nothing refers to (employees, policies, payroll
+//          components, openings, pipelines, offers or event history)
+// @access  Private (Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const designation = await Designation.findById(req.params.id);
+
+    if (!designation) {
+      return res.status(404).json({ message: 'Designation not found' });
+    }
+
+    if (await Employee.exists({ position: designation._id })) {
+      return res.status(400).json({ message: 'Designation is held by employees; deactivate it instead' });
+    }
+
+    const references = await findOrgReferences('designation', designation._id);
+    if (references.length) {
+      return res.status(400).json({ message: `Designation is still used by ${references.join(', ')}; deactivate it instead` });
+    }
+
+    await designation.remove();
+    res.json({ message: 'Designation removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Designation not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,200 @@
 const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
 const Employee = require('../models/Employee');
+const User = require('../models/User');
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const Designation = require('../models/Designation');
+const EmployeeEvent = require('../models/EmployeeEvent');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { sendMail } = require('../utils/mailer');
+const { sendPayslip } = require('../utils/payslipPdf');
+const { reviseSalary, salaryHistory } = require('../utils/salary');
+const { applyIfDue, startOnboarding, recordResignation } = require('../utils/employeeEvents');
+const {
+  ORG_FIELDS,
+  EMPLOYEE_SUMMARY,
+  checkOrgRefs,
+  createsReportingCycle,
+  buildOrgChart
+} = require('../utils/orgStructure');
+const { isMasked } = require('../utils/encryption');
+const { check, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  create: ['hr', 'admin'],
+  update: ['hr', 'admin'],
+  updateSalary: ['admin'],
+  exit: ['admin'],
+  createAccount: ['hr', 'admin'],
+  readEvents: ['hr', 'admin'],
+  manageEvents: ['hr', 'admin'],
+  payslip: ['hr', 'admin', 'employee'],
+  updateProfile: ['hr', 'admin'],
+  viewSensitive: ['admin'],
+  documents: ['hr', 'admin']
+});
+
+const REVISION_REASONS = ['promotion', 'appraisal', 'correction'];
+const EVENT_TYPES = ['onboarding', 'transfer', 'promotion', 'resignation', 'exit'];
+const EXIT_REASONS = ['resignation', 'termination', 'retirement', 'contract-end', 'other'];
+
+// Department names and designation titles on transfers and promotions
+const EVENT_REFS = [
+  { path: 'fromDepartment', select: 'name' },
+  { path: 'toDepartment', select: 'name' },
+  { path: 'fromPosition', select: 'title' },
+  { path: 'toPosition', select: 'title' }
+];
+
+const DOCUMENT_TYPES = ['offer-letter', 'id-proof', 'address-proof', 'education', 'experience', 'other'];
+const GOVERNMENT_ID_TYPES = ['national-id', 'passport', 'tax-id', 'social-security', 'driving-licence', 'other'];
+
+// Personal documents are stored on disk like resumes and leave documents
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = 'uploads/employee-documents';
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const filetypes = /pdf|doc|docx|jpg|jpeg|png/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+    
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only PDF, DOC, DOCX, JPG, JPEG, and PNG files are allowed'));
+    }
+  }
+});
+
+// Remove an uploaded file when the request it came with is rejected
+const discardUpload = (req) => {
+  if (!req.file) return;
+  fs.unlink(req.file.path, err => {
+    if (err) console.error(err.message);
+  });
+};
+
+// Employee as JSON, with bank and ID numbers revealed only to those allowed
+const employeeView = (user, employee) =>
+  (can.allows(user, 'viewSensitive') ? employee.toSensitiveJSON() : employee.toJSON());
+
+// How long a portal invitation link stays valid
+const INVITE_TOKEN_HOURS = Number(process.env.INVITE_TOKEN_HOURS) || 72;
+
+// Validate and save a lifecycle event for an employee, applying it straight
+// away if it has already taken effect. Returns { event } or { message }.
+const recordEvent = async (employee, body, userId) => {
+  const { type, toDepartment, toPosition, salary, exitReason, notes } = body;
+  const effectiveDate = body.effectiveDate ? new Date(body.effectiveDate) : new Date();
+  
+  const joined = new Date(employee.joiningDate);
+  joined.setHours(0, 0, 0, 0);
+  if (type !== 'onboarding' && effectiveDate < joined) {
+    return { message: 'An event cannot take effect before the joining date' };
+  }
+  
+  if (employee.status !== 'active') {
+    return { message: 'Employee is no longer active' };
+  }
+  
+  if (['resignation', 'exit'].includes(type) &&
+      await EmployeeEvent.exists({ employee: employee._id, type: 'exit', status: 'pending' })) {
+    return { message: 'An exit is already scheduled for this employee' };
+  }
+  
+  if (type === 'onboarding') {
+    if (await EmployeeEvent.exists({ employee: employee._id, type: 'onboarding', status: { $ne: 'cancelled' } })) {
+      return { message: 'Onboarding has already been started for this employee' };
+    }
+    return { event: await startOnboarding(employee, userId, body.checklist) };
+  }
+  
+  if (type === 'resignation') {
+    return { event: await recordResignation(employee, { ...body, effectiveDate }, userId) };
+  }
+  
+  if (type === 'transfer' && !toDepartment) {
+    return { message: 'A transfer needs a department to move to' };
+  }
+  
+  if (type === 'promotion' && !toPosition) {
+    return { message: 'A promotion needs a new position' };
+  }
+  
+  const orgError = await checkOrgRefs({
+    department: type === 'transfer' ? toDepartment : undefined,
+    position: type === 'promotion' ? toPosition : undefined
+  });
+  if (orgError) {
+    return { message: orgError };
+  }
+  
+  const event = await new EmployeeEvent({
+    employee: employee._id,
+    type,
+    effectiveDate,
+    fromDepartment: type === 'transfer' ? employee.department : undefined,
+    toDepartment: type === 'transfer' ? toDepartment : undefined,
+    fromPosition: type === 'promotion' ? employee.position : undefined,
+    toPosition: type === 'promotion' ? toPosition : undefined,
+    exitReason: type === 'exit' ? exitReason || 'other' : undefined,
+    notes,
+    createdBy: userId
+  }).save();
+  
+  // A promotion may come with a raise from the same date
+  if (type === 'promotion' && salary) {
+    await reviseSalary(employee, { salary, effectiveDate, reason: 'promotion', notes }, userId);
+  }
+  
+  return { event: await applyIfDue(event, employee) };
+};
+
 // @route   GET api/employees
 // @desc    Get all employees
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), [
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
     const { search, department, status, sort } = req.query;
     let query = {};
     
     // Search functionality
     if (search) {
+      const designations = await Designation.find({ title: { $regex: search, $options: 'i' } }).distinct('_id');
       query = {
         $or: [
           { name: { $regex: search, $options: 'i' } },
           { email: { $regex: search, $options: 'i' } },
-          { position: { $regex: search, $options: 'i' } }
+          { position: { $in: designations } }
         ]
       };
     }
@@ -38,10 +214,17 @@ router.get('/', auth, async (req, res) => {
     if (sort === 'name') {
       sortOption = { name: 1 };
     } else if (sort === 'department') {
-      sortOption = { department: 1 };
+      sortOption = { name: 1 };
+    }
+    
+    const employees = await Employee.find(query).populate(ORG_FIELDS).sort(sortOption);
+    
+    // Departments are refs, so order by their populated names
+    if (sort === 'department') {
+      const departmentName = (employee) => (employee.department ? employee.department.name : '');
+      employees.sort((a, b) => departmentName(a).localeCompare(departmentName(b)));
     }
     
-    const employees = await Employee.find(query).sort(sortOption);
     res.json(employees);
   } catch (err) {
     console.error(err.message);
@@ -51,10 +234,19 @@ router.get('/', auth, async (req, res) => {
 
 // @route   POST api/employees
 // @desc    Create an employee
-// @access  Private
-router.post('/', auth, async (req, res) => {
+// @access  Private (HR, Admin)
+router.post('/', auth, can('create'), async (req, res) => {
   try {
-    const { name, email, phone, position, department, joiningDate, salary } = req.body;
+    const { name, email, phone, position, department, joiningDate, salary, manager } = req.body;
+    
+    if (manager && !(await Employee.exists({ _id: manager }))) {
+      return res.status(400).json({ message: 'Manager not found' });
+    }
+    
+    const orgError = await checkOrgRefs({ department, position });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
     
     // Check if employee already exists
     const existingEmployee = await Employee.findOne({ email });
@@ -70,10 +262,16 @@ router.post('/', auth, async (req, res) => {
       position,
       department,
       joiningDate,
-      salary
+      salary,
+      manager: manager || undefined
     });
     
     const employee = await newEmployee.save();
+    
+    // Starting salary opens the employee's salary history
+    await reviseSalary(employee, { salary, effectiveDate: joiningDate, reason: 'joining' }, req.user.id);
+    await startOnboarding(employee, req.user.id);
+    
     res.json(employee);
   } catch (err) {
     console.error(err.message);
@@ -81,18 +279,93 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/employees/events
+// @desc    Get lifecycle events across employees. Query: type, status,
+//          employee, department (employee's current), startDate, endDate
+// @access  Private (HR, Admin)
+router.get('/events', auth, can('readEvents'), [
+  check('employee', 'Employee must be an employee id').optional({ checkFalsy: true }).isMongoId(),
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { type, status, employee, department, startDate, endDate } = req.query;
+    const query = {};
+    
+    if (type) {
+      query.type = type;
+    }
+    
+    if (status) {
+      query.status = status;
+    }
+    
+    if (employee) {
+      query.employee = employee;
+    }
+    
+    // Combined with an employee, only that employee if they are in the department
+    if (department) {
+      const inDepartment = { department };
+      if (employee) inDepartment._id = employee;
+      query.employee = { $in: await Employee.find(inDepartment).distinct('_id') };
+    }
+    
+    // Filter by effective date
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      
+      query.effectiveDate = { $gte: start, $lte: end };
+    }
+    
+    const events = await EmployeeEvent.find(query)
+      .populate(EMPLOYEE_SUMMARY)
+      .populate(EVENT_REFS)
+      .populate('createdBy', 'name')
+      .sort({ effectiveDate: -1, createdAt: -1 });
+    
+    res.json(events);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/employees/org-chart
+// @desc    Get the reporting tree of active employees by manager. Query:
+//          root (employee id) to return only that employee's branch
+// @access  Private (HR, Admin)
+router.get('/org-chart', auth, can('read'), async (req, res) => {
+  try {
+    res.json(await buildOrgChart(req.query.root));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/employees/:id
-// @desc    Get employee by ID
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @desc    Get employee by ID with their current salary and salary history
+// @access  Private (HR, Admin)
+router.get('/:id', auth, can('read'), async (req, res) => {
   try {
-    const employee = await Employee.findById(req.params.id);
+    const employee = await Employee.findById(req.params.id)
+      .populate(ORG_FIELDS)
+      .populate('manager', 'name email');
     
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
     }
     
-    res.json(employee);
+    res.json({ ...employeeView(req.user, employee), salaryHistory: await salaryHistory(employee._id) });
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -103,11 +376,23 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT api/employees/:id
-// @desc    Update an employee
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @desc    Update an employee. A salary change is recorded as a revision
+//          effective salaryEffectiveDate (default today) for salaryReason
+//          (default correction). Status is not editable here; exits go
+//          through DELETE /:id or an exit event.
+// @access  Private (HR, Admin; salary changes Admin)
+router.put('/:id', auth, can('update'), [
+  check('salary', 'Salary must be a positive number').optional({ checkFalsy: true }).isFloat({ gt: 0 }),
+  check('salaryEffectiveDate', 'Salary effective date must be a valid date').optional({ checkFalsy: true }).isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const { name, email, phone, position, department, joiningDate, salary, status } = req.body;
+    const { name, email, phone, position, department, joiningDate, salary, manager } = req.body;
+    const salaryReason = req.body.salaryReason || 'correction';
     
     // Build employee object
     const employeeFields = {};
@@ -117,8 +402,7 @@ router.put('/:id', auth, async (req, res) => {
     if (position) employeeFields.position = position;
     if (department) employeeFields.department = department;
     if (joiningDate) employeeFields.joiningDate = joiningDate;
-    if (salary) employeeFields.salary = salary;
-    if (status) employeeFields.status = status;
+    if (manager !== undefined) employeeFields.manager = manager || null;
     
     let employee = await Employee.findById(req.params.id);
     
@@ -126,6 +410,46 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Employee not found' });
     }
     
+    const salaryChanged = salary && Number(salary) !== employee.salary;
+    const transferred = department && String(department) !== String(employee.department);
+    const promoted = position && String(position) !== String(employee.position);
+    
+    // Only admins may change salaries
+    if (salaryChanged && !can.allows(req.user, 'updateSalary')) {
+      return permit.forbidden(res);
+    }
+    
+    if (salaryChanged && !REVISION_REASONS.includes(salaryReason)) {
+      return res.status(400).json({ message: `Salary reason must be one of: ${REVISION_REASONS.join(', ')}` });
+    }
+    
+    const salaryEffectiveDate = req.body.salaryEffectiveDate ? new Date(req.body.salaryEffectiveDate) : new Date();
+    const joined = new Date(joiningDate || employee.joiningDate);
+    joined.setHours(0, 0, 0, 0);
+    
+    if (salaryChanged && salaryEffectiveDate < joined) {
+      return res.status(400).json({ message: 'A revision cannot take effect before the joining date' });
+    }
+    
+    const orgError = await checkOrgRefs({ department, position });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
+    
+    if (manager) {
+      if (manager === req.params.id) {
+        return res.status(400).json({ message: 'An employee cannot be their own manager' });
+      }
+      if (!(await Employee.exists({ _id: manager }))) {
+        return res.status(400).json({ message: 'Manager not found' });
+      }
+      if (await createsReportingCycle(req.params.id, manager)) {
+        return res.status(400).json({ message: 'An employee cannot report to someone who reports to them' });
+      }
+    }
+    
+    const previous = { department: employee.department, position: employee.position };
+    
     // Update employee
     employee = await Employee.findByIdAndUpdate(
       req.params.id,
@@ -133,6 +457,34 @@ router.put('/:id', auth, async (req, res) => {
       { new: true }
     );
     
+    // Direct edits to department or position are kept in the lifecycle history
+    const editEvent = (fields) => new EmployeeEvent({
+      employee: employee._id,
+      effectiveDate: new Date(),
+      status: 'completed',
+      notes: 'Updated on the employee record',
+      createdBy: req.user.id,
+      completedAt: Date.now(),
+      ...fields
+    }).save();
+    
+    if (transferred) {
+      await editEvent({ type: 'transfer', fromDepartment: previous.department, toDepartment: department });
+    }
+    
+    if (promoted) {
+      await editEvent({ type: 'promotion', fromPosition: previous.position, toPosition: position });
+    }
+    
+    if (salaryChanged) {
+      await reviseSalary(employee, {
+        salary,
+        effectiveDate: salaryEffectiveDate,
+        reason: salaryReason,
+        notes: req.body.salaryNotes
+      }, req.user.id);
+    }
+    
     res.json(employee);
   } catch (err) {
     console.error(err.message);
@@ -140,10 +492,427 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PUT api/employees/:id/profile
+// @desc    Update personal details: address, dateOfBirth, emergencyContacts,
+//          bankAccount and governmentIds. Each given field replaces the
+//          stored one; masked numbers sent back unchanged are kept.
+// @access  Private (HR, Admin)
+router.put('/:id/profile', auth, can('updateProfile'), [
+  check('dateOfBirth', 'Date of birth must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+  check('emergencyContacts', 'Emergency contacts must be a list').optional().isArray(),
+  check('emergencyContacts.*.name', 'Emergency contact name is required').not().isEmpty(),
+  check('emergencyContacts.*.phone', 'Emergency contact phone is required').not().isEmpty(),
+  check('governmentIds', 'Government IDs must be a list').optional().isArray(),
+  check('governmentIds.*.type', `ID type must be one of: ${GOVERNMENT_ID_TYPES.join(', ')}`).isIn(GOVERNMENT_ID_TYPES),
+  check('governmentIds.*.number', 'ID number is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { address, dateOfBirth, emergencyContacts, bankAccount, governmentIds } = req.body;
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    if (address !== undefined) employee.address = address || undefined;
+    if (dateOfBirth !== undefined) employee.dateOfBirth = dateOfBirth || undefined;
+    if (emergencyContacts !== undefined) employee.emergencyContacts = emergencyContacts;
+    
+    if (bankAccount !== undefined) {
+      const storedNumber = employee.bankAccount && employee.bankAccount.accountNumber;
+      employee.bankAccount = bankAccount ? {
+        ...bankAccount,
+        accountNumber: isMasked(bankAccount.accountNumber) ? storedNumber : bankAccount.accountNumber
+      } : undefined;
+    }
+    
+    if (governmentIds !== undefined) {
+      const storedNumbers = new Map(employee.governmentIds.map(id => [id.id, id.number]));
+      employee.governmentIds = governmentIds.map(id => ({
+        ...id,
+        number: isMasked(id.number) && storedNumbers.has(String(id._id)) ? storedNumbers.get(String(id._id)) : id.number
+      }));
+    }
+    
+    await employee.save();
+    res.json(employeeView(req.user, employee));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/employees/:id/documents
+// @desc    Upload a personal document (form fields: document, type, name)
+// @access  Private (HR, Admin)
+router.post('/:id/documents', auth, can('documents'), upload.single('document'), async (req, res) => {
+  try {
+    const { type, name } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'A document file is required' });
+    }
+    
+    if (!DOCUMENT_TYPES.includes(type)) {
+      discardUpload(req);
+      return res.status(400).json({ message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+    }
+    
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      discardUpload(req);
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    employee.documents.push({
+      type,
+      name: name || req.file.originalname,
+      file: `uploads/employee-documents/${req.file.filename}`,
+      uploadedBy: req.user.id
+    });
+    
+    await employee.save();
+    res.json(employee.documents[employee.documents.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    discardUpload(req);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/employees/:id/documents/:documentId
+// @desc    Download a personal document
+// @access  Private (HR, Admin)
+router.get('/:id/documents/:documentId', auth, can('documents'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    const document = employee && employee.documents.id(req.params.documentId);
+    
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    const documentPath = path.join(__dirname, '..', document.file);
+    res.download(documentPath);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/employees/:id/documents/:documentId
+// @desc    Delete a personal document and its file
+// @access  Private (HR, Admin)
+router.delete('/:id/documents/:documentId', auth, can('documents'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    const document = employee && employee.documents.id(req.params.documentId);
+    
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    const documentPath = path.join(__dirname, '..', document.file);
+    document.remove();
+    await employee.save();
+    
+    fs.unlink(documentPath, err => {
+      if (err) console.error(err.message);
+    });
+    
+    res.json({ message: 'Document removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/employees/:id/salary-revisions
+// @desc    Get an employee's salary history, latest effective first
+// @access  Private (HR, Admin)
+router.get('/:id/salary-revisions', auth, can('read'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    res.json({ salary: employee.salary, history: await salaryHistory(employee._id) });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/employees/:id/salary-revisions
+// @desc    Record a salary revision; future-dated revisions become the
+//          current salary on their effective date
+// @access  Private (Admin)
+router.post('/:id/salary-revisions', auth, can('updateSalary'), [
+  check('salary', 'Salary must be a positive number').isFloat({ gt: 0 }),
+  check('effectiveDate', 'A valid effective date is required').isISO8601(),
+  check('reason', `Reason must be one of: ${REVISION_REASONS.join(', ')}`).isIn(REVISION_REASONS)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { salary, effectiveDate, reason, notes } = req.body;
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    const joined = new Date(employee.joiningDate);
+    joined.setHours(0, 0, 0, 0);
+    if (new Date(effectiveDate) < joined) {
+      return res.status(400).json({ message: 'A revision cannot take effect before the joining date' });
+    }
+    
+    const revision = await reviseSalary(employee, { salary, effectiveDate, reason, notes }, req.user.id);
+    res.json(revision);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   DELETE api/employees/:id
-// @desc    Delete an employee
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @desc    Exit an employee. Records are kept: the employee becomes inactive
+//          once lastWorkingDay (default today) is over.
+// @access  Private (Admin)
+router.delete('/:id', auth, can('exit'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    const exitReason = req.body.exitReason || 'other';
+    if (!EXIT_REASONS.includes(exitReason)) {
+      return res.status(400).json({ message: `Exit reason must be one of: ${EXIT_REASONS.join(', ')}` });
+    }
+    
+    const result = await recordEvent(employee, {
+      ...req.body,
+      type: 'exit',
+      exitReason,
+      effectiveDate: req.body.lastWorkingDay || new Date()
+    }, req.user.id);
+    
+    if (result.message) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.json(result.event);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/employees/:id/events
+// @desc    Get an employee's lifecycle events, latest first
+// @access  Private (HR, Admin)
+router.get('/:id/events', auth, can('readEvents'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    const events = await EmployeeEvent.find({ employee: employee._id })
+      .populate(EVENT_REFS)
+      .populate('createdBy', 'name')
+      .sort({ effectiveDate: -1, createdAt: -1 });
+    
+    res.json(events);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/employees/:id/events
+// @desc    Record a lifecycle event. Body by type:
+//          onboarding { checklist?: [items] }
+//          transfer { effectiveDate, toDepartment }
+//          promotion { effectiveDate, toPosition, salary? }
+//          resignation { effectiveDate, noticePeriodDays? }
+//          exit { effectiveDate (last working day), exitReason }
+// @access  Private (HR, Admin; exits and salary changes Admin)
+router.post('/:id/events', auth, can('manageEvents'), [
+  check('type', `Type must be one of: ${EVENT_TYPES.join(', ')}`).isIn(EVENT_TYPES),
+  check('effectiveDate', 'A valid effective date is required').optional().isISO8601(),
+  check('noticePeriodDays', 'Notice period must be a non-negative number').optional().isInt({ min: 0 }),
+  check('exitReason', `Exit reason must be one of: ${EXIT_REASONS.join(', ')}`).optional().isIn(EXIT_REASONS),
+  check('checklist', 'Checklist must be a list').optional().isArray()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { type, salary } = req.body;
+    
+    if (type === 'exit' && !can.allows(req.user, 'exit')) {
+      return permit.forbidden(res);
+    }
+    
+    if (type === 'promotion' && salary && !can.allows(req.user, 'updateSalary')) {
+      return permit.forbidden(res);
+    }
+    
+    const employee = await Employee.findById(req.params.id);
+    
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    const result = await recordEvent(employee, req.body, req.user.id);
+    
+    if (result.message) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.json(result.event);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/employees/:id/events/:eventId/checklist/:itemId
+// @desc    Tick or untick an onboarding checklist item; onboarding completes
+//          when every item is done
+// @access  Private (HR, Admin)
+router.put('/:id/events/:eventId/checklist/:itemId', auth, can('manageEvents'), async (req, res) => {
+  try {
+    const event = await EmployeeEvent.findOne({ _id: req.params.eventId, employee: req.params.id });
+    
+    if (!event || event.type !== 'onboarding') {
+      return res.status(404).json({ message: 'Onboarding not found' });
+    }
+    
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'Onboarding has been cancelled' });
+    }
+    
+    const item = event.checklist.id(req.params.itemId);
+    
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+    
+    const done = req.body.done !== false;
+    item.done = done;
+    item.doneBy = done ? req.user.id : undefined;
+    item.doneAt = done ? Date.now() : undefined;
+    
+    const complete = event.checklist.every(entry => entry.done);
+    event.status = complete ? 'completed' : 'pending';
+    event.completedAt = complete ? Date.now() : undefined;
+    
+    await event.save();
+    res.json(event);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Onboarding not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/employees/:id/events/:eventId/cancel
+// @desc    Cancel a pending event. Cancelling a resignation withdraws it and
+//          cancels the exit it scheduled.
+// @access  Private (HR, Admin; exits Admin)
+router.put('/:id/events/:eventId/cancel', auth, can('manageEvents'), async (req, res) => {
+  try {
+    const event = await EmployeeEvent.findOne({ _id: req.params.eventId, employee: req.params.id });
+    
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    if (['exit', 'resignation'].includes(event.type) && !can.allows(req.user, 'exit')) {
+      return permit.forbidden(res);
+    }
+    
+    const exit = event.type === 'resignation' ? await EmployeeEvent.findById(event.relatedEvent) : null;
+    const withdrawable = event.type === 'resignation' && event.status === 'completed' &&
+      exit && exit.status === 'pending';
+    
+    if (event.status !== 'pending' && !withdrawable) {
+      return res.status(400).json({ message: 'Only pending events can be cancelled' });
+    }
+    
+    const cancel = (target) => {
+      target.status = 'cancelled';
+      target.cancelledBy = req.user.id;
+      target.cancelledAt = Date.now();
+      return target.save();
+    };
+    
+    if (withdrawable) {
+      await cancel(exit);
+    }
+    
+    res.json(await cancel(event));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/employees/:id/account
+// @desc    Create a self-service portal account for an employee and email an invite
+// @access  Private (HR, Admin)
+router.post('/:id/account', auth, can('createAccount'), async (req, res) => {
   try {
     const employee = await Employee.findById(req.params.id);
     
@@ -151,8 +920,41 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Employee not found' });
     }
     
-    await employee.remove();
-    res.json({ message: 'Employee removed' });
+    if (employee.status !== 'active') {
+      return res.status(400).json({ message: 'Only active employees can have portal accounts' });
+    }
+    
+    const existingUser = await User.findOne({
+      $or: [{ employee: employee._id }, { email: employee.email }]
+    });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account already exists for this employee' });
+    }
+    
+    // The employee chooses their own password through the invite link
+    const user = new User({
+      name: employee.name,
+      email: employee.email,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'employee',
+      employee: employee._id
+    });
+    
+    const inviteToken = user.createPasswordResetToken(INVITE_TOKEN_HOURS * 60);
+    
+    // Send the invite before saving, so a failed send leaves no account
+    // behind and the invite can simply be retried
+    const inviteUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${inviteToken}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Your HRMS employee portal account',
+      text: `Hi ${user.name},\n\nAn employee portal account has been created for you. ` +
+        `Use the link below to choose your password. It expires in ${INVITE_TOKEN_HOURS} hours.\n\n${inviteUrl}`
+    });
+    
+    await user.save();
+    
+    res.json(user);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -162,4 +964,38 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/employees/:id/payslips/:month
+// @desc    Download an employee's payslip for a month (YYYY-MM) as a PDF.
+//          Employees may only download their own, once payroll is locked.
+// @access  Private (HR, Admin, Employee)
+router.get('/:id/payslips/:month', auth, can('payslip'), async (req, res) => {
+  try {
+    const isSelf = req.user.role === 'employee';
+    
+    if (isSelf && String(req.user.employee) !== req.params.id) {
+      return permit.forbidden(res);
+    }
+    
+    const run = await PayrollRun.findOne({ month: req.params.month });
+    
+    if (!run || (isSelf && run.status !== 'locked')) {
+      return res.status(404).json({ message: 'Payslip not found' });
+    }
+    
+    const payslip = await Payslip.findOne({ run: run._id, employee: req.params.id });
+    
+    if (!payslip) {
+      return res.status(404).json({ message: 'Payslip not found' });
+    }
+    
+    sendPayslip(res, payslip, run);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payslip not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
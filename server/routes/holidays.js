@@ -0,0 +1,231 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const Holiday = require('../models/Holiday');
+const Setting = require('../models/Setting');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { parseCsv } = require('../utils/csv');
+const { parseDay, getWeeklyOffDays } = require('../utils/workCalendar');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin', 'employee'],
+  manage: ['hr', 'admin'],
+  configure: ['admin']
+});
+
+// CSV imports are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+// @route   GET api/holidays/weekly-off
+// @desc    Get the configured weekly off days (0 = Sunday ... 6 = Saturday)
+// @access  Private
+router.get('/weekly-off', auth, can('read'), async (req, res) => {
+  try {
+    res.json({ days: await getWeeklyOffDays() });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/holidays/weekly-off
+// @desc    Set the weekly off days
+// @access  Private (Admin)
+router.put('/weekly-off', auth, can('configure'), [
+  check('days', 'Days must be a list').isArray({ max: 6 }),
+  check('days.*', 'Days must be between 0 (Sunday) and 6 (Saturday)').isInt({ min: 0, max: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const days = [...new Set(req.body.days.map(Number))].sort();
+    await Setting.setValue('weeklyOffDays', days, req.user.id);
+    res.json({ days });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/holidays
+// @desc    Get holidays, optionally for one year
+// @access  Private
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const { year } = req.query;
+    const query = {};
+
+    if (year) {
+      query.date = {
+        $gte: new Date(year, 0, 1),
+        $lte: new Date(year, 11, 31, 23, 59, 59, 999)
+      };
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+    res.json(holidays);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/holidays
+// @desc    Create a holiday
+// @access  Private (HR, Admin)
+router.post('/', auth, can('manage'), [
+  check('date', 'A valid date is required').isISO8601(),
+  check('name', 'Name is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { date, name } = req.body;
+
+    const day = parseDay(date);
+
+    const existingHoliday = await Holiday.findOne({ date: day });
+    if (existingHoliday) {
+      return res.status(400).json({ message: 'A holiday already exists on this date' });
+    }
+
+    const newHoliday = new Holiday({
+      date: day,
+      name,
+      createdBy: req.user.id
+    });
+
+    const holiday = await newHoliday.save();
+    res.json(holiday);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/holidays/import
+// @desc    Bulk import holidays from a JSON list or a CSV file (date,name);
+//          existing dates are renamed
+// @access  Private (HR, Admin)
+router.post('/import', auth, can('manage'), upload.single('file'), async (req, res) => {
+  try {
+    const rows = req.file ? parseCsv(req.file.buffer.toString('utf8')) : req.body.holidays;
+
+    if (!Array.isArray(rows) || !rows.length) {
+      return res.status(400).json({ message: 'Provide a holidays list or a CSV file with date and name columns' });
+    }
+
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+      const day = row.date ? parseDay(row.date) : null;
+
+      if (!day || !row.name) {
+        results.push({ row: index + 1, status: 'error', message: 'A valid date and a name are required' });
+        continue;
+      }
+
+      const existing = await Holiday.findOne({ date: day });
+      if (existing) {
+        existing.name = row.name;
+        await existing.save();
+        results.push({ row: index + 1, date: row.date, status: 'updated' });
+      } else {
+        await new Holiday({ date: day, name: row.name, createdBy: req.user.id }).save();
+        results.push({ row: index + 1, date: row.date, status: 'created' });
+      }
+    }
+
+    res.json({
+      created: results.filter(result => result.status === 'created').length,
+      updated: results.filter(result => result.status === 'updated').length,
+      errors: results.filter(result => result.status === 'error').length,
+      results
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/holidays/:id
+// @desc    Update a holiday
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('manage'), [
+  check('date', 'A valid date is required').optional().isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { date, name } = req.body;
+
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    if (date) holiday.date = parseDay(date);
+    if (name) holiday.name = name;
+
+    await holiday.save();
+    res.json(holiday);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'A holiday already exists on this date' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/holidays/:id
+// @desc    Delete a holiday
+// @access  Private (HR, Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await holiday.remove();
+    res.json({ message: 'Holiday removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const Interview = require('../models/Interview');
+const Candidate = require('../models/Candidate');
+const Pipeline = require('../models/Pipeline');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { check, validationResult } = require('express-validator');
+const { candidatePipeline, recordStageChange } = require('../utils/recruitment');
+
+const router = express.Router();
+
+// Role permissions for this router. Any role may sit on a panel, so
+// scorecards are open to all; the handlers check the user is on the panel.
+const can = permit({
+  read: ['hr', 'admin'],
+  schedule: ['hr', 'admin'],
+  decide: ['hr', 'admin'],
+  panel: ['hr', 'admin', 'employee']
+});
+
+const CANDIDATE_SUMMARY = { path: 'candidate', select: 'name email position stage status' };
+const INTERVIEWER_SUMMARY = { path: 'interviewers', select: 'name email' };
+
+const isOnPanel = (interview, userId) =>
+  interview.interviewers.some(interviewer => String(interviewer._id || interviewer) === String(userId));
+
+// Check the interviewers are active users; returns an error message or null
+const checkInterviewers = async (ids) => {
+  if (!ids.length) return 'At least one interviewer is required';
+
+  const count = await User.countDocuments({ _id: { $in: ids }, active: true });
+  return count === new Set(ids.map(String)).size ? null : 'Interviewers must be active users';
+};
+
+const scheduleValidation = [
+  check('scheduledAt', 'Valid scheduled time is required').isISO8601(),
+  check('durationMinutes', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+  check('interviewers', 'Interviewers must be a list of users').isArray({ min: 1 }),
+  check('interviewers.*', 'Invalid interviewer').isMongoId()
+];
+
+// @route   GET api/interviews
+// @desc    Get interviews, filtered by candidate, interviewer, status or date range
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const { candidate, interviewer, status, startDate, endDate } = req.query;
+    const query = {};
+
+    if (candidate) query.candidate = candidate;
+    if (interviewer) query.interviewers = interviewer;
+    if (status) query.status = status;
+
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+
+      query.scheduledAt = { $gte: start, $lte: end };
+    }
+
+    const interviews = await Interview.find(query)
+      .populate(CANDIDATE_SUMMARY)
+      .populate(INTERVIEWER_SUMMARY)
+      .sort({ scheduledAt: 1 });
+
+    res.json(interviews);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/interviews/mine
+// @desc    Get interviews the signed-in user is on the panel for, with only
+//          their own scorecard
+// @access  Private (HR, Admin, Employee)
+router.get('/mine', auth, can('panel'), async (req, res) => {
+  try {
+    const query = { interviewers: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const interviews = await Interview.find(query)
+      .populate(CANDIDATE_SUMMARY)
+      .populate(INTERVIEWER_SUMMARY)
+      .sort({ scheduledAt: 1 });
+
+    res.json(interviews.map(interview => {
+      const view = interview.toObject();
+      view.scorecards = view.scorecards.filter(card => String(card.interviewer) === String(req.user.id));
+      return view;
+    }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/interviews/:id
+// @desc    Get an interview; panel members see only their own scorecard
+// @access  Private (HR, Admin, panel members)
+router.get('/:id', auth, can('panel'), async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id)
+      .populate(CANDIDATE_SUMMARY)
+      .populate(INTERVIEWER_SUMMARY)
+      .populate('scorecards.interviewer', 'name email');
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (can.allows(req.user, 'read')) {
+      return res.json(interview);
+    }
+
+    if (!isOnPanel(interview, req.user.id)) {
+      return permit.forbidden(res);
+    }
+
+    const view = interview.toObject();
+    view.scorecards = view.scorecards
+      .filter(card => card.interviewer && String(card.interviewer._id) === String(req.user.id));
+    res.json(view);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/interviews
+// @desc    Schedule an interview round from the candidate's pipeline
+// @access  Private (HR, Admin)
+router.post('/', auth, can('schedule'), [
+  check('candidate', 'Candidate is required').isMongoId(),
+  check('round', 'Round is required').isMongoId(),
+  ...scheduleValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { round: roundId, scheduledAt, durationMinutes, location, interviewers } = req.body;
+
+    const candidate = await Candidate.findById(req.body.candidate);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    if (['selected', 'rejected', 'hired'].includes(candidate.status)) {
+      return res.status(400).json({ message: `Candidate is already ${candidate.status}` });
+    }
+
+    const pipeline = await candidatePipeline(candidate);
+    if (!pipeline) {
+      return res.status(400).json({ message: 'Candidate is not in a recruitment pipeline' });
+    }
+
+    const round = pipeline.rounds.id(roundId);
+    if (!round) {
+      return res.status(400).json({ message: 'Round is not part of the candidate\'s pipeline' });
+    }
+
+    const interviewerError = await checkInterviewers(interviewers);
+    if (interviewerError) {
+      return res.status(400).json({ message: interviewerError });
+    }
+
+    const interview = await Interview.create({
+      candidate: candidate._id,
+      pipeline: pipeline._id,
+      round: round._id,
+      roundName: round.name,
+      scheduledAt,
+      durationMinutes,
+      location,
+      interviewers,
+      createdBy: req.user.id
+    });
+
+    if (!candidate.pipeline) {
+      candidate.pipeline = pipeline._id;
+      candidate.stage = pipeline.stages[0];
+    }
+    if (candidate.status === 'applied') candidate.status = 'interviewing';
+    if (candidate.isModified()) {
+      recordStageChange(candidate, req.user.id, `${round.name} scheduled`);
+      await candidate.save();
+    }
+
+    res.json(interview);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/interviews/:id
+// @desc    Reschedule an interview or change its panel
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('schedule'), scheduleValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { scheduledAt, durationMinutes, location, interviewers } = req.body;
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: `Interview is already ${interview.status}` });
+    }
+
+    const interviewerError = await checkInterviewers(interviewers);
+    if (interviewerError) {
+      return res.status(400).json({ message: interviewerError });
+    }
+
+    interview.scheduledAt = scheduledAt;
+    if (durationMinutes !== undefined) interview.durationMinutes = durationMinutes;
+    if (location !== undefined) interview.location = location;
+    interview.interviewers = interviewers;
+
+    await interview.save();
+    res.json(interview);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/interviews/:id/status
+// @desc    Mark a scheduled interview completed, cancelled or a no-show
+// @access  Private (HR, Admin)
+router.put('/:id/status', auth, can('schedule'), [
+  check('status', 'Status must be completed, cancelled or no-show').isIn(['completed', 'cancelled', 'no-show'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: `Interview is already ${interview.status}` });
+    }
+
+    interview.status = req.body.status;
+    await interview.save();
+
+    res.json(interview);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/interviews/:id/scorecard
+// @desc    Submit (or replace) the signed-in panel member's scorecard. Every
+//          criterion of the round must be rated once.
+// @access  Private (panel members)
+router.post('/:id/scorecard', auth, can('panel'), [
+  check('recommendation', 'Recommendation must be strong-yes, yes, no or strong-no')
+    .isIn(['strong-yes', 'yes', 'no', 'strong-no']),
+  check('ratings', 'Ratings must be a list').optional().isArray(),
+  check('ratings.*.criterion', 'Criterion is required').trim().not().isEmpty(),
+  check('ratings.*.score', 'Scores must be from 1 to 5').isInt({ min: 1, max: 5 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { recommendation, feedback } = req.body;
+    const ratings = req.body.ratings || [];
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (!isOnPanel(interview, req.user.id)) {
+      return permit.forbidden(res);
+    }
+
+    if (['cancelled', 'no-show'].includes(interview.status)) {
+      return res.status(400).json({ message: `Interview was ${interview.status}` });
+    }
+
+    if (interview.result !== 'pending') {
+      return res.status(400).json({ message: 'The round has already been decided' });
+    }
+
+    // Ratings must cover exactly the criteria the round is scored on
+    const pipeline = await Pipeline.findById(interview.pipeline);
+    const round = pipeline && pipeline.rounds.id(interview.round);
+    const criteria = round ? round.criteria : ratings.map(rating => rating.criterion);
+    const rated = ratings.map(rating => rating.criterion);
+
+    const missing = criteria.filter(criterion => !rated.includes(criterion));
+    const unknown = rated.filter(criterion => !criteria.includes(criterion));
+    if (missing.length || unknown.length || new Set(rated).size !== rated.length) {
+      return res.status(400).json({ message: `Rate each of: ${criteria.join(', ') || 'no criteria'}` });
+    }
+
+    interview.scorecards = interview.scorecards
+      .filter(card => String(card.interviewer) !== String(req.user.id));
+    interview.scorecards.push({
+      interviewer: req.user.id,
+      ratings,
+      recommendation,
+      feedback
+    });
+    if (interview.status === 'scheduled') interview.status = 'completed';
+
+    await interview.save();
+    res.json(interview.scorecards.find(card => String(card.interviewer) === String(req.user.id)));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/interviews/:id/result
+// @desc    Decide whether the candidate passed the round; a decision is final
+// @access  Private (HR, Admin)
+router.put('/:id/result', auth, can('decide'), [
+  check('result', 'Result must be passed or failed').isIn(['passed', 'failed'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (interview.result !== 'pending') {
+      return res.status(400).json({ message: `The round has already been ${interview.result}` });
+    }
+
+    if (interview.status !== 'completed' || !interview.scorecards.length) {
+      return res.status(400).json({ message: 'A round can only be decided once a scorecard is in' });
+    }
+
+    interview.result = req.body.result;
+    interview.decidedBy = req.user.id;
+    interview.decidedAt = Date.now();
+    await interview.save();
+
+    const candidate = await Candidate.findById(interview.candidate);
+    if (candidate) {
+      recordStageChange(candidate, req.user.id, `${interview.roundName} ${interview.result}`);
+      await candidate.save();
+    }
+
+    res.json(interview);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const LeavePolicy = require('../models/LeavePolicy');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { ORG_FIELDS, checkOrgRefs } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['admin']
+});
+
+const policyValidation = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('entitlements', 'Entitlements must be a list').isArray(),
+  check('entitlements.*.type', 'Invalid leave type').isIn(['sick', 'casual', 'annual', 'unpaid', 'other']),
+  check('entitlements.*.yearlyDays', 'Yearly days must be a non-negative number').isFloat({ min: 0 }),
+  check('entitlements.*.accrual', 'Accrual must be monthly or yearly').optional().isIn(['monthly', 'yearly']),
+  check('entitlements.*.carryForwardMax', 'Carry forward must be a non-negative number').optional().isFloat({ min: 0 })
+];
+
+// @route   GET api/leave-policies
+// @desc    Get all leave policies
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const policies = await LeavePolicy.find().populate(ORG_FIELDS).sort({ department: 1, position: 1 });
+    res.json(policies);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/leave-policies
+// @desc    Create a leave policy (no department/position = company default)
+// @access  Private (Admin)
+router.post('/', auth, can('manage'), policyValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, department, position, entitlements } = req.body;
+
+    const orgError = await checkOrgRefs({ department, position });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
+
+    const existingPolicy = await LeavePolicy.findOne({
+      department: department || null,
+      position: position || null
+    });
+    if (existingPolicy) {
+      return res.status(400).json({ message: 'A policy already exists for this department and position' });
+    }
+
+    const newPolicy = new LeavePolicy({
+      name,
+      department: department || undefined,
+      position: position || undefined,
+      entitlements
+    });
+
+    const policy = await newPolicy.save();
+    res.json(policy);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/leave-policies/:id
+// @desc    Update a leave policy
+// @access  Private (Admin)
+router.put('/:id', auth, can('manage'), policyValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, entitlements } = req.body;
+
+    const policy = await LeavePolicy.findByIdAndUpdate(
+      req.params.id,
+      { $set: { name, entitlements, updatedAt: Date.now() } },
+      { new: true, runValidators: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Leave policy not found' });
+    }
+
+    res.json(policy);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Leave policy not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/leave-policies/:id
+// @desc    Delete a leave policy
+// @access  Private (Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const policy = await LeavePolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Leave policy not found' });
+    }
+
+    await policy.remove();
+    res.json({ message: 'Leave policy removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Leave policy not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -6,9 +6,147 @@ const Leave = require('../models/Leave');
 const Employee = require('../models/Employee');
 const Attendance = require('../models/Attendance');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { WORKDAY_HOURS, leaveDays } = require('../utils/leaveDays');
+const { dateKey, loadCalendar, workingDates } = require('../utils/workCalendar');
+const {
+  buildApprovalChain,
+  currentStep,
+  isApplicant,
+  canActOnStep,
+  decideStep
+} = require('../utils/leaveApproval');
+const {
+  getBalances,
+  checkBalance,
+  deductLeave,
+  restoreLeave
+} = require('../utils/leaveBalance');
+const { EMPLOYEE_SUMMARY } = require('../utils/orgStructure');
 
 const router = express.Router();
 
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin', 'employee'],
+  create: ['hr', 'admin', 'employee'],
+  update: ['hr', 'admin'],
+  cancel: ['hr', 'admin', 'employee'],
+  approve: ['hr', 'admin', 'employee'],
+  delete: ['hr', 'admin'],
+  calendar: ['hr', 'admin']
+});
+
+// Attendance status an approved leave produces. Half-day leave and hourly
+// leave of at least half a day give 'half-day'; shorter permissions leave
+// attendance untouched.
+const leaveAttendanceStatus = (leave) => {
+  if (leave.duration === 'half-day') return 'half-day';
+  if (leave.duration === 'hours') return leave.hours >= WORKDAY_HOURS / 2 ? 'half-day' : null;
+  return 'leave';
+};
+
+// Hours of the day a partial-day leave takes; null for full-day leave
+const partialHours = (leave) => {
+  if (leave.duration === 'half-day') return WORKDAY_HOURS / 2;
+  if (leave.duration === 'hours') return leave.hours;
+  return null;
+};
+
+// Partial-day leaves on the same day may share it: half-days for different
+// sessions, and hourly permissions as long as the day's total fits the workday
+const sharesDay = (request, existing) => {
+  const requested = partialHours(request);
+  if (requested === null || existing.some(leave => partialHours(leave) === null)) return false;
+  
+  if (request.duration === 'half-day' &&
+    existing.some(leave => leave.duration === 'half-day' && leave.halfDaySession === request.halfDaySession)) {
+    return false;
+  }
+  
+  const taken = existing.reduce((total, leave) => total + partialHours(leave), 0);
+  return taken + requested <= WORKDAY_HOURS;
+};
+
+// Reflect every working day of an approved leave in attendance, remembering
+// each row's previous status so a cancellation can restore it
+const markLeaveAttendance = async (leave, userId) => {
+  const status = leaveAttendanceStatus(leave);
+  if (!status) return;
+  
+  leave.attendanceChanges = [];
+  
+  const calendar = await loadCalendar(leave.startDate, leave.endDate);
+  
+  // Update or create attendance records for each working day
+  for (const date of workingDates(leave.startDate, leave.endDate, calendar)) {
+    const dayEnd = new Date(date);
+    dayEnd.setHours(23, 59, 59, 999);
+    
+    // Check if attendance record exists
+    let attendance = await Attendance.findOne({
+      employee: leave.employee,
+      date: { $gte: date, $lte: dayEnd }
+    });
+    
+    const previousStatus = attendance ? attendance.status : null;
+    
+    if (attendance) {
+      // Update existing attendance
+      attendance.status = status;
+      attendance.leave = leave._id;
+      await attendance.save();
+    } else {
+      // Create new attendance record
+      attendance = new Attendance({
+        employee: leave.employee,
+        date,
+        status,
+        leave: leave._id,
+        createdBy: userId
+      });
+      
+      await attendance.save();
+    }
+    
+    leave.attendanceChanges.push({ attendance: attendance._id, date, status, previousStatus });
+  }
+  
+  await leave.save();
+};
+
+// Undo markLeaveAttendance. Rows edited since the leave was applied are left
+// alone; the ids of those rows are returned.
+const restoreLeaveAttendance = async (leave) => {
+  const skipped = [];
+  
+  for (const change of leave.attendanceChanges) {
+    const attendance = await Attendance.findById(change.attendance);
+    
+    if (!attendance) continue;
+    
+    if (attendance.status !== change.status || String(attendance.leave) !== String(leave._id)) {
+      skipped.push(attendance._id);
+      continue;
+    }
+    
+    if (change.previousStatus) {
+      attendance.status = change.previousStatus;
+      attendance.leave = undefined;
+      await attendance.save();
+    } else {
+      await attendance.remove();
+    }
+  }
+  
+  return skipped;
+};
+
+// Employees may only see and act on their own leave requests
+const isOwnLeave = (user, leave) =>
+  user.role !== 'employee' ||
+  String(leave.employee._id || leave.employee) === String(user.employee);
+
 // Set up multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -40,15 +178,17 @@ const upload = multer({
 });
 
 // @route   GET api/leaves
-// @desc    Get all leaves
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @desc    Get all leaves (employees get only their own)
+// @access  Private (HR, Admin, Employee)
+router.get('/', auth, can('read'), async (req, res) => {
   try {
     const { employee, status, type, startDate, endDate, sort } = req.query;
     let query = {};
     
     // Filter by employee
-    if (employee) {
+    if (req.user.role === 'employee') {
+      query.employee = req.user.employee;
+    } else if (employee) {
       query.employee = employee;
     }
     
@@ -85,7 +225,7 @@ router.get('/', auth, async (req, res) => {
     }
     
     const leaves = await Leave.find(query)
-      .populate('employee', 'name position department')
+      .populate(EMPLOYEE_SUMMARY)
       .sort(sortOption);
     
     res.json(leaves);
@@ -96,11 +236,33 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   POST api/leaves
-// @desc    Create a leave
-// @access  Private
-router.post('/', auth, upload.single('document'), async (req, res) => {
+// @desc    Create a leave (employees apply for themselves)
+// @access  Private (HR, Admin, Employee)
+router.post('/', auth, can('create'), upload.single('document'), async (req, res) => {
   try {
-    const { employee, startDate, endDate, reason, type } = req.body;
+    const { startDate, endDate, reason, type, halfDaySession } = req.body;
+    const employee = req.user.role === 'employee' ? req.user.employee : req.body.employee;
+    const duration = req.body.duration || 'full-day';
+    const hours = duration === 'hours' ? Number(req.body.hours) : undefined;
+    
+    if (!['full-day', 'half-day', 'hours'].includes(duration)) {
+      return res.status(400).json({ message: 'Duration must be full-day, half-day or hours' });
+    }
+    
+    // Half-day and hourly leave cover part of a single day
+    if (duration !== 'full-day' && dateKey(startDate) !== dateKey(endDate)) {
+      return res.status(400).json({ message: 'Half-day and hourly leave must start and end on the same day' });
+    }
+    
+    if (duration === 'half-day' && !['first-half', 'second-half'].includes(halfDaySession)) {
+      return res.status(400).json({ message: 'Half-day leave must be for the first-half or second-half' });
+    }
+    
+    if (duration === 'hours' && !(hours > 0 && hours < WORKDAY_HOURS)) {
+      return res.status(400).json({ message: `Hourly leave must be more than 0 and less than ${WORKDAY_HOURS} hours` });
+    }
+    
+    const request = { type, startDate, endDate, duration, hours };
     
     // Check if employee exists and is active
     const employeeRecord = await Employee.findById(employee);
@@ -123,8 +285,9 @@ router.post('/', auth, upload.single('document'), async (req, res) => {
     }
     
     // Check for overlapping leaves
-    const overlappingLeave = await Leave.findOne({
+    const overlappingLeaves = await Leave.find({
       employee,
+      status: { $in: ['pending', 'approved'] },
       $or: [
         { startDate: { $lte: new Date(endDate), $gte: new Date(startDate) } },
         { endDate: { $gte: new Date(startDate), $lte: new Date(endDate) } },
@@ -137,17 +300,37 @@ router.post('/', auth, upload.single('document'), async (req, res) => {
       ]
     });
     
-    if (overlappingLeave) {
+    if (overlappingLeaves.length && !sharesDay({ duration, halfDaySession, hours }, overlappingLeaves)) {
       return res.status(400).json({ message: 'Leave application overlaps with existing leave' });
     }
     
+    // Check the request fits within the employee's leave balance
+    const balanceError = await checkBalance(employeeRecord, request);
+    if (balanceError) {
+      return res.status(400).json({ message: balanceError });
+    }
+    
+    const days = await leaveDays(request);
+    if (days === 0) {
+      return res.status(400).json({ message: 'Leave does not cover any working days' });
+    }
+    
+    // Route the request to the reporting manager and/or HR
+    const approvals = buildApprovalChain(employeeRecord, days);
+    
     // Create new leave
     const newLeave = new Leave({
       employee,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
+      duration,
+      halfDaySession: duration === 'half-day' ? halfDaySession : undefined,
+      hours,
+      days,
       reason,
       type,
+      approvals,
+      currentLevel: approvals[0].level,
       document: req.file ? `/uploads/documents/${req.file.filename}` : '',
       createdBy: req.user.id
     });
@@ -155,7 +338,7 @@ router.post('/', auth, upload.single('document'), async (req, res) => {
     const leave = await newLeave.save();
     
     // Populate employee details
-    await leave.populate('employee', 'name position department');
+    await leave.populate(EMPLOYEE_SUMMARY);
     
     res.json(leave);
   } catch (err) {
@@ -164,18 +347,145 @@ router.post('/', auth, upload.single('document'), async (req, res) => {
   }
 });
 
+// @route   GET api/leaves/pending-approval
+// @desc    Get pending leaves awaiting the current user's approval
+// @access  Private (HR, Admin, Employee)
+router.get('/pending-approval', auth, can('approve'), async (req, res) => {
+  try {
+    const conditions = [];
+    
+    if (req.user.role === 'admin') {
+      conditions.push({ currentLevel: { $in: ['manager', 'hr'] } });
+    } else if (req.user.role === 'hr') {
+      // HR accounts without an Employee record also stand in for managers
+      conditions.push({ currentLevel: req.user.employee ? 'hr' : { $in: ['manager', 'hr'] } });
+    }
+    
+    // Managers see their direct reports' requests
+    if (req.user.employee) {
+      const reports = await Employee.find({ manager: req.user.employee }).select('_id');
+      conditions.push({
+        currentLevel: 'manager',
+        employee: { $in: reports.map(report => report._id) }
+      });
+    }
+    
+    // Leaves created before the approval workflow wait on HR
+    if (req.user.role === 'admin' || req.user.role === 'hr') {
+      conditions.push({ currentLevel: null });
+    }
+    
+    // Nobody approves their own leave
+    const own = req.user.employee ? { employee: { $ne: req.user.employee } } : {};
+    
+    const leaves = await Leave.find({ status: 'pending', $or: conditions, ...own })
+      .populate(EMPLOYEE_SUMMARY)
+      .sort({ createdAt: 1 }); // Oldest first
+    
+    res.json(leaves);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/leaves/calendar
+// @desc    Get leaves for calendar
+// @access  Private (HR, Admin)
+router.get('/calendar', auth, can('calendar'), async (req, res) => {
+  try {
+    const { month, year } = req.query;
+    
+    if (!month || !year) {
+      return res.status(400).json({ message: 'Month and year are required' });
+    }
+    
+    const startDate = new Date(year, month - 1, 1);
+    const endDate = new Date(year, month, 0);
+    
+    // Get approved leaves for the month
+    const leaves = await Leave.find({
+      status: 'approved',
+      $or: [
+        { startDate: { $gte: startDate, $lte: endDate } },
+        { endDate: { $gte: startDate, $lte: endDate } },
+        {
+          $and: [
+            { startDate: { $lte: startDate } },
+            { endDate: { $gte: endDate } }
+          ]
+        }
+      ]
+    }).populate('employee', 'name');
+    
+    const calendar = await loadCalendar(startDate, endDate);
+    
+    // Format leaves for calendar, skipping weekly offs and holidays
+    const calendarLeaves = leaves.map(leave => {
+      const start = new Date(Math.max(leave.startDate, startDate));
+      const end = new Date(Math.min(leave.endDate, endDate));
+      
+      return workingDates(start, end, calendar).map(date => ({
+        date: dateKey(date),
+        employee: leave.employee.name,
+        type: leave.type,
+        duration: leave.duration,
+        halfDaySession: leave.halfDaySession,
+        hours: leave.hours
+      }));
+    });
+    
+    // Flatten the array
+    const flattenedLeaves = calendarLeaves.flat();
+    
+    res.json(flattenedLeaves);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/leaves/balance/:employeeId
+// @desc    Get an employee's leave balances for a year
+// @access  Private (HR, Admin, Employee for themselves)
+router.get('/balance/:employeeId', auth, can('read'), async (req, res) => {
+  try {
+    if (req.user.role === 'employee' && req.params.employeeId !== String(req.user.employee)) {
+      return permit.forbidden(res);
+    }
+    
+    const employee = await Employee.findById(req.params.employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    
+    const year = Number(req.query.year) || new Date().getFullYear();
+    res.json(await getBalances(employee, year));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/leaves/:id
 // @desc    Get leave by ID
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (HR, Admin, Employee)
+router.get('/:id', auth, can('read'), async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id)
-      .populate('employee', 'name position department');
+      .populate(EMPLOYEE_SUMMARY);
     
     if (!leave) {
       return res.status(404).json({ message: 'Leave not found' });
     }
     
+    if (!isOwnLeave(req.user, leave)) {
+      return permit.forbidden(res);
+    }
+    
     res.json(leave);
   } catch (err) {
     console.error(err.message);
@@ -187,11 +497,13 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT api/leaves/:id
-// @desc    Update a leave
-// @access  Private
-router.put('/:id', auth, upload.single('document'), async (req, res) => {
+// @desc    Update a leave's supporting document
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('update'), upload.single('document'), async (req, res) => {
   try {
-    const { status } = req.body;
+    if (req.body.status) {
+      return res.status(400).json({ message: 'Use the approve and reject endpoints to change leave status' });
+    }
     
     let leave = await Leave.findById(req.params.id);
     
@@ -201,7 +513,6 @@ router.put('/:id', auth, upload.single('document'), async (req, res) => {
     
     // Build leave object
     const leaveFields = {};
-    if (status) leaveFields.status = status;
     if (req.file) leaveFields.document = `/uploads/documents/${req.file.filename}`;
     
     leaveFields.updatedBy = req.user.id;
@@ -212,53 +523,7 @@ router.put('/:id', auth, upload.single('document'), async (req, res) => {
       req.params.id,
       { $set: leaveFields },
       { new: true }
-    ).populate('employee', 'name position department');
-    
-    // If leave is approved, update attendance records
-    if (status === 'approved') {
-      const start = new Date(leave.startDate);
-      start.setHours(0, 0, 0, 0);
-      
-      const end = new Date(leave.endDate);
-      end.setHours(23, 59, 59, 999);
-      
-      // Create a date range
-      const dateRange = [];
-      let currentDate = new Date(start);
-      
-      while (currentDate <= end) {
-        dateRange.push(new Date(currentDate));
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-      
-      // Update or create attendance records for each day
-      for (const date of dateRange) {
-        // Check if attendance record exists
-        let attendance = await Attendance.findOne({
-          employee: leave.employee,
-          date: {
-            $gte: new Date(date.setHours(0, 0, 0, 0)),
-            $lte: new Date(date.setHours(23, 59, 59, 999))
-          }
-        });
-        
-        if (attendance) {
-          // Update existing attendance
-          attendance.status = 'leave';
-          await attendance.save();
-        } else {
-          // Create new attendance record
-          const newAttendance = new Attendance({
-            employee: leave.employee,
-            date,
-            status: 'leave',
-            createdBy: req.user.id
-          });
-          
-          await newAttendance.save();
-        }
-      }
-    }
+    ).populate(EMPLOYEE_SUMMARY);
     
     res.json(leave);
   } catch (err) {
@@ -267,10 +532,8 @@ router.put('/:id', auth, upload.single('document'), async (req, res) => {
   }
 });
 
-// @route   DELETE api/leaves/:id
-// @desc    Delete a leave
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// Approve or reject the current approval step of a leave
+const decideLeave = (decision) => async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id);
     
@@ -278,8 +541,31 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Leave not found' });
     }
     
-    await leave.remove();
-    res.json({ message: 'Leave removed' });
+    const step = currentStep(leave);
+    if (!step) {
+      return res.status(400).json({ message: `Leave is already ${leave.status}` });
+    }
+    
+    const employee = await Employee.findById(leave.employee);
+    if (employee && isApplicant(req.user, employee)) {
+      return res.status(403).json({ message: 'You cannot approve or reject your own leave' });
+    }
+    if (!employee || !canActOnStep(req.user, step, employee)) {
+      return permit.forbidden(res);
+    }
+    
+    decideStep(leave, step, req.user.id, decision, req.body.comment);
+    await leave.save();
+    
+    // Fully approved: deduct the balance and reflect the leave in attendance
+    if (leave.status === 'approved') {
+      await deductLeave(leave, employee);
+      await markLeaveAttendance(leave, req.user.id);
+    }
+    
+    await leave.populate(EMPLOYEE_SUMMARY);
+    
+    res.json(leave);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -287,12 +573,24 @@ router.delete('/:id', auth, async (req, res) => {
     }
     res.status(500).send('Server error');
   }
-});
+};
 
-// @route   GET api/leaves/:id/document
-// @desc    Download leave document
-// @access  Private
-router.get('/:id/document', auth, async (req, res) => {
+// @route   PUT api/leaves/:id/approve
+// @desc    Approve the current step of a leave (manager, then HR for long leaves)
+// @access  Private (HR, Admin, Employee as manager)
+router.put('/:id/approve', auth, can('approve'), decideLeave('approved'));
+
+// @route   PUT api/leaves/:id/reject
+// @desc    Reject a leave at its current step
+// @access  Private (HR, Admin, Employee as manager)
+router.put('/:id/reject', auth, can('approve'), decideLeave('rejected'));
+
+// @route   PUT api/leaves/:id/cancel
+// @desc    Cancel a pending leave, or reverse an approved one (restoring the
+//          attendance it replaced and the leave balance). Employees can only
+//          withdraw approved leave that has not started yet.
+// @access  Private (HR, Admin, Employee)
+router.put('/:id/cancel', auth, can('cancel'), async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id);
     
@@ -300,72 +598,102 @@ router.get('/:id/document', auth, async (req, res) => {
       return res.status(404).json({ message: 'Leave not found' });
     }
     
-    if (!leave.document) {
-      return res.status(404).json({ message: 'Document not found' });
+    if (!isOwnLeave(req.user, leave)) {
+      return permit.forbidden(res);
     }
     
-    const documentPath = path.join(__dirname, '..', leave.document);
-    res.download(documentPath);
+    if (leave.status !== 'pending' && leave.status !== 'approved') {
+      return res.status(400).json({ message: `Leave is already ${leave.status}` });
+    }
+    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    if (leave.status === 'approved' && req.user.role === 'employee' && leave.startDate < today) {
+      return res.status(400).json({ message: 'Leave that has already started can only be cancelled by HR' });
+    }
+    
+    let skippedAttendance = [];
+    if (leave.status === 'approved') {
+      skippedAttendance = await restoreLeaveAttendance(leave);
+      await restoreLeave(leave);
+    }
+    
+    leave.cancellation = {
+      cancelledBy: req.user.id,
+      cancelledAt: Date.now(),
+      reason: req.body.reason,
+      previousStatus: leave.status,
+      skippedAttendance
+    };
+    leave.status = 'cancelled';
+    leave.currentLevel = undefined;
+    leave.approvals.forEach(step => {
+      if (step.status === 'pending') step.status = 'skipped';
+    });
+    leave.updatedBy = req.user.id;
+    leave.updatedAt = Date.now();
+    await leave.save();
+    
+    await leave.populate(EMPLOYEE_SUMMARY);
+    
+    res.json(leave);
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
     res.status(500).send('Server error');
   }
 });
 
-// @route   GET api/leaves/calendar
-// @desc    Get leaves for calendar
-// @access  Private
-router.get('/calendar', auth, async (req, res) => {
+// @route   DELETE api/leaves/:id
+// @desc    Delete a leave
+// @access  Private (HR, Admin)
+router.delete('/:id', auth, can('delete'), async (req, res) => {
   try {
-    const { month, year } = req.query;
+    const leave = await Leave.findById(req.params.id);
     
-    if (!month || !year) {
-      return res.status(400).json({ message: 'Month and year are required' });
+    if (!leave) {
+      return res.status(404).json({ message: 'Leave not found' });
     }
     
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    if (leave.status === 'approved') {
+      return res.status(400).json({ message: 'Cancel an approved leave before deleting it so its attendance is restored' });
+    }
     
-    // Get approved leaves for the month
-    const leaves = await Leave.find({
-      status: 'approved',
-      $or: [
-        { startDate: { $gte: startDate, $lte: endDate } },
-        { endDate: { $gte: startDate, $lte: endDate } },
-        {
-          $and: [
-            { startDate: { $lte: startDate } },
-            { endDate: { $gte: endDate } }
-          ]
-        }
-      ]
-    }).populate('employee', 'name');
+    await leave.remove();
+    res.json({ message: 'Leave removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/leaves/:id/document
+// @desc    Download leave document
+// @access  Private (HR, Admin, Employee)
+router.get('/:id/document', auth, can('read'), async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
     
-    // Format leaves for calendar
-    const calendarLeaves = leaves.map(leave => {
-      const start = new Date(Math.max(leave.startDate, startDate));
-      const end = new Date(Math.min(leave.endDate, endDate));
-      
-      // Create a date range
-      const dateRange = [];
-      let currentDate = new Date(start);
-      
-      while (currentDate <= end) {
-        dateRange.push({
-          date: new Date(currentDate).toISOString().split('T')[0],
-          employee: leave.employee.name,
-          type: leave.type
-        });
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-      
-      return dateRange;
-    });
+    if (!leave) {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
     
-    // Flatten the array
-    const flattenedLeaves = calendarLeaves.flat();
+    if (!isOwnLeave(req.user, leave)) {
+      return permit.forbidden(res);
+    }
     
-    res.json(flattenedLeaves);
+    if (!leave.document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    const documentPath = path.join(__dirname, '..', leave.document);
+    res.download(documentPath);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -0,0 +1,121 @@
+const express = require('express');
+const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { getBalances } = require('../utils/leaveBalance');
+const { weekStartOf, loadSchedules } = require('../utils/shifts');
+const { dateKey, datesBetween } = require('../utils/workCalendar');
+const { ORG_FIELDS } = require('../utils/orgStructure');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  self: ['employee']
+});
+
+// @route   GET api/me
+// @desc    Get the signed-in employee's own profile
+// @access  Private (Employee)
+router.get('/', auth, can('self'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.user.employee)
+      .select('-salary')
+      .populate(ORG_FIELDS)
+      .populate('manager', 'name email');
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    res.json(employee);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/me/attendance
+// @desc    Get the signed-in employee's attendance history
+// @access  Private (Employee)
+router.get('/attendance', auth, can('self'), async (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+    const query = { employee: req.user.employee };
+
+    // Filter by date range
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+
+      query.date = { $gte: start, $lte: end };
+    }
+
+    // Filter by status
+    if (status) {
+      query.status = status;
+    }
+
+    const attendance = await Attendance.find(query)
+      .select('-createdBy')
+      .sort({ date: -1 });
+
+    res.json(attendance);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/me/leave-balance
+// @desc    Get the signed-in employee's leave balances for a year
+// @access  Private (Employee)
+router.get('/leave-balance', auth, can('self'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.user.employee);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const year = Number(req.query.year) || new Date().getFullYear();
+    res.json(await getBalances(employee, year));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/me/schedule
+// @desc    Get the signed-in employee's shifts for a week (default: this week)
+// @access  Private (Employee)
+router.get('/schedule', auth, can('self'), async (req, res) => {
+  try {
+    const weekStart = weekStartOf(req.query.weekStart ? new Date(req.query.weekStart) : new Date());
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+
+    const scheduleFor = await loadSchedules(weekStart, weekEnd);
+    const days = datesBetween(weekStart, weekEnd).map(date => {
+      const schedule = scheduleFor(req.user.employee, date);
+      return {
+        date: dateKey(date),
+        off: schedule.off,
+        shift: schedule.shift,
+        start: schedule.off ? null : schedule.start,
+        end: schedule.off ? null : schedule.end
+      };
+    });
+
+    res.json({ weekStart, days });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
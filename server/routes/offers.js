@@ -0,0 +1,403 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Offer = require('../models/Offer');
+const OfferTemplate = require('../models/OfferTemplate');
+const Candidate = require('../models/Candidate');
+const JobOpening = require('../models/JobOpening');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { checkOrgRefs, findDesignationByTitle } = require('../utils/orgStructure');
+const { recordStageChange } = require('../utils/recruitment');
+const { isExpired, issueOffer } = require('../utils/offers');
+const { PLACEHOLDERS, renderOfferLetter } = require('../utils/offerLetter');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  issue: ['hr', 'admin'],
+  respond: ['hr', 'admin'],
+  templates: ['admin']
+});
+
+const templateValidation = [
+  check('name', 'Name is required').trim().not().isEmpty(),
+  check('subject', 'Subject is required').trim().not().isEmpty(),
+  check('body', 'Body is required').trim().not().isEmpty()
+];
+
+const offerValidation = [
+  check('template', 'Template is required').isMongoId(),
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId(),
+  check('position', 'Position must be a designation id').optional({ checkFalsy: true }).isMongoId(),
+  check('salary', 'Salary must be a positive number').isFloat({ gt: 0 }),
+  check('joiningDate', 'Valid joining date is required').isISO8601(),
+  check('expiresOn', 'Valid expiry date is required').isISO8601()
+];
+
+const populateOffer = (query) => query
+  .populate('candidate', 'name email position status')
+  .populate('versions.department', 'name')
+  .populate('versions.position', 'title')
+  .populate('versions.template', 'name');
+
+// Resolve the terms of an offer from the request, defaulting department and
+// designation to the candidate's opening or, for the designation, to the one
+// matching the position applied for. Returns { terms } or { error }.
+const resolveTerms = async (candidate, body) => {
+  const template = await OfferTemplate.findById(body.template);
+  if (!template || !template.active) return { error: 'Offer template not found' };
+
+  const opening = candidate.opening && await JobOpening.findById(candidate.opening);
+  const department = body.department || (opening && opening.department);
+  let position = body.position || (opening && opening.position);
+  if (!position) {
+    const match = await findDesignationByTitle(candidate.position);
+    position = match && match._id;
+  }
+
+  if (!department) return { error: 'Department is required' };
+  if (!position) return { error: `No designation matches "${candidate.position}"; choose a position` };
+
+  const orgError = await checkOrgRefs({ department, position });
+  if (orgError) return { error: orgError };
+
+  const joiningDate = new Date(body.joiningDate);
+  const expiresOn = new Date(body.expiresOn);
+  joiningDate.setHours(0, 0, 0, 0);
+  expiresOn.setHours(0, 0, 0, 0);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (expiresOn < today) return { error: 'Expiry date cannot be in the past' };
+  if (expiresOn > joiningDate) return { error: 'The offer must expire on or before the joining date' };
+
+  return {
+    template,
+    terms: { department, position, salary: Number(body.salary), joiningDate, expiresOn }
+  };
+};
+
+// @route   GET api/offers/templates
+// @desc    Get offer letter templates and the placeholders they may use
+// @access  Private (HR, Admin)
+router.get('/templates', auth, can('read'), async (req, res) => {
+  try {
+    const templates = await OfferTemplate.find().sort({ name: 1 });
+    res.json({ placeholders: PLACEHOLDERS, templates });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/offers/templates
+// @desc    Create an offer letter template
+// @access  Private (Admin)
+router.post('/templates', auth, can('templates'), templateValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, subject, body } = req.body;
+
+    if (await OfferTemplate.exists({ name })) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    const template = await OfferTemplate.create({ name, subject, body });
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/offers/templates/:id
+// @desc    Update an offer letter template; letters already sent keep their text
+// @access  Private (Admin)
+router.put('/templates/:id', auth, can('templates'), templateValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, subject, body, active } = req.body;
+    const template = await OfferTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Offer template not found' });
+    }
+
+    if (await OfferTemplate.exists({ name, _id: { $ne: template._id } })) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    template.name = name;
+    template.subject = subject;
+    template.body = body;
+    if (active !== undefined) template.active = active;
+    template.updatedAt = Date.now();
+
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer template not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/offers/templates/:id
+// @desc    Delete an offer letter template no offer was issued from
+// @access  Private (Admin)
+router.delete('/templates/:id', auth, can('templates'), async (req, res) => {
+  try {
+    const template = await OfferTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Offer template not found' });
+    }
+
+    if (await Offer.exists({ 'versions.template': template._id })) {
+      return res.status(400).json({ message: 'Offers have been issued from this template; deactivate it instead' });
+    }
+
+    await template.remove();
+    res.json({ message: 'Offer template removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer template not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/offers
+// @desc    Get offers, filtered by status or candidate
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const { status, candidate } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (candidate) query.candidate = candidate;
+
+    const offers = await populateOffer(Offer.find(query)).sort({ updatedAt: -1, createdAt: -1 });
+    res.json(offers);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/offers/:id
+// @desc    Get an offer with its version history
+// @access  Private (HR, Admin)
+router.get('/:id', auth, can('read'), async (req, res) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.params.id));
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    res.json(offer);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/offers
+// @desc    Send a selected candidate an offer letter generated from a template
+// @access  Private (HR, Admin)
+router.post('/', auth, can('issue'), [
+  check('candidate', 'Candidate is required').isMongoId(),
+  ...offerValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const candidate = await Candidate.findById(req.body.candidate);
+
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    if (candidate.status !== 'selected') {
+      return res.status(400).json({ message: 'Offers can only be made to selected candidates' });
+    }
+
+    if (await Offer.exists({ candidate: candidate._id })) {
+      return res.status(400).json({ message: 'Candidate already has an offer; revise it instead' });
+    }
+
+    const { template, terms, error } = await resolveTerms(candidate, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const offer = new Offer({ candidate: candidate._id });
+    await issueOffer(offer, candidate, template, terms, req.user.id);
+
+    recordStageChange(candidate, req.user.id, 'Offer sent');
+    await candidate.save();
+
+    res.json(offer);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/offers/:id
+// @desc    Revise an offer: issues and sends a new version of the letter
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('issue'), offerValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    if (offer.status === 'accepted') {
+      return res.status(400).json({ message: 'An accepted offer cannot be revised' });
+    }
+
+    const candidate = await Candidate.findById(offer.candidate);
+    if (!candidate || candidate.status !== 'selected') {
+      return res.status(400).json({ message: 'Offers can only be made to selected candidates' });
+    }
+
+    const { template, terms, error } = await resolveTerms(candidate, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await issueOffer(offer, candidate, template, terms, req.user.id);
+
+    recordStageChange(candidate, req.user.id, `Offer revised (version ${offer.current.version})`);
+    await candidate.save();
+
+    res.json(offer);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/offers/:id/respond
+// @desc    Record the candidate accepting or declining the offer
+// @access  Private (HR, Admin)
+router.put('/:id/respond', auth, can('respond'), [
+  check('response', 'Response must be accepted or declined').isIn(['accepted', 'declined'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { response, note } = req.body;
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    // The expiry job may not have caught up yet
+    if (offer.status === 'sent' && isExpired(offer)) {
+      offer.status = 'expired';
+      offer.updatedAt = Date.now();
+      await offer.save();
+    }
+
+    if (offer.status !== 'sent') {
+      return res.status(400).json({ message: `Offer is already ${offer.status}` });
+    }
+
+    offer.status = response;
+    offer.respondedAt = Date.now();
+    offer.responseNote = note;
+    offer.recordedBy = req.user.id;
+    offer.updatedAt = Date.now();
+    await offer.save();
+
+    const candidate = await Candidate.findById(offer.candidate);
+    if (candidate) {
+      recordStageChange(candidate, req.user.id, `Offer ${response}`);
+      await candidate.save();
+    }
+
+    res.json(offer);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/offers/:id/letter
+// @desc    Download an offer letter PDF (latest version unless ?version=n)
+// @access  Private (HR, Admin)
+router.get('/:id/letter', auth, can('read'), async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    const version = req.query.version
+      ? offer.versions.find(item => item.version === Number(req.query.version))
+      : offer.current;
+
+    if (!version) {
+      return res.status(404).json({ message: 'Offer version not found' });
+    }
+
+    // Letters are regenerated from the stored text if the file has gone
+    if (!version.file || !fs.existsSync(path.join(__dirname, '..', version.file))) {
+      version.file = await renderOfferLetter(offer, version);
+      await offer.save();
+    }
+
+    res.download(path.join(__dirname, '..', version.file));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const JobOpening = require('../models/JobOpening');
+const Candidate = require('../models/Candidate');
+const Employee = require('../models/Employee');
+const Pipeline = require('../models/Pipeline');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { checkOrgRefs, ORG_FIELDS } = require('../utils/orgStructure');
+const { funnelCounts, closeIfFilled } = require('../utils/openings');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['hr', 'admin']
+});
+
+const openingValidation = [
+  check('title', 'Title is required').trim().not().isEmpty(),
+  check('department', 'Department is required').isMongoId(),
+  check('position', 'Position must be a designation id').optional({ checkFalsy: true }).isMongoId(),
+  check('headcount', 'Headcount must be at least 1').isInt({ min: 1 }),
+  check('status', 'Status must be draft, open, on-hold or closed')
+    .optional()
+    .isIn(['draft', 'open', 'on-hold', 'closed']),
+  check('hiringManager', 'Hiring manager must be an employee id').optional({ checkFalsy: true }).isMongoId(),
+  check('pipeline', 'Pipeline must be a pipeline id').optional({ checkFalsy: true }).isMongoId()
+];
+
+// Check an opening's references. Returns an error message, or null when
+// they are valid.
+const checkOpeningRefs = async ({ department, position, hiringManager, pipeline }) => {
+  const orgError = await checkOrgRefs({ department, position });
+  if (orgError) return orgError;
+
+  if (hiringManager && !(await Employee.exists({ _id: hiringManager, status: 'active' }))) {
+    return 'Hiring manager must be an active employee';
+  }
+
+  if (pipeline && !(await Pipeline.exists({ _id: pipeline, active: true }))) {
+    return 'Pipeline not found';
+  }
+
+  return null;
+};
+
+// Keep openedAt / closedAt in step with the status
+const setStatus = (opening, status) => {
+  if (!status || status === opening.status) return;
+
+  opening.status = status;
+  if (status === 'open' && !opening.openedAt) opening.openedAt = Date.now();
+  opening.closedAt = status === 'closed' ? Date.now() : undefined;
+};
+
+const populateOpening = (query) => query
+  .populate(ORG_FIELDS)
+  .populate('hiringManager', 'name email')
+  .populate('pipeline', 'name stages');
+
+// @route   GET api/openings
+// @desc    Get job openings with their funnel counts
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), [
+  check('department', 'Department must be a department id').optional({ checkFalsy: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { status, department } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (department) query.department = department;
+
+    const openings = await populateOpening(JobOpening.find(query))
+      .sort({ createdAt: -1 })
+      .lean();
+    const funnelFor = await funnelCounts(openings.map(opening => opening._id));
+
+    res.json(openings.map(opening => ({
+      ...opening,
+      funnel: funnelFor(opening._id)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/openings/:id
+// @desc    Get a job opening with its funnel counts
+// @access  Private (HR, Admin)
+router.get('/:id', auth, can('read'), async (req, res) => {
+  try {
+    const opening = await populateOpening(JobOpening.findById(req.params.id)).lean();
+
+    if (!opening) {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+
+    const funnelFor = await funnelCounts([opening._id]);
+    res.json({ ...opening, funnel: funnelFor(opening._id) });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/openings/:id/candidates
+// @desc    Get the candidates who applied against an opening
+// @access  Private (HR, Admin)
+router.get('/:id/candidates', auth, can('read'), async (req, res) => {
+  try {
+    const query = { opening: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const candidates = await Candidate.find(query).sort({ createdAt: -1 });
+    res.json(candidates);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/openings
+// @desc    Create a job opening (draft unless a status is given)
+// @access  Private (HR, Admin)
+router.post('/', auth, can('manage'), openingValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, department, position, headcount, description, status, hiringManager, pipeline } = req.body;
+
+    const refError = await checkOpeningRefs({ department, position, hiringManager, pipeline });
+    if (refError) {
+      return res.status(400).json({ message: refError });
+    }
+
+    const opening = new JobOpening({
+      title,
+      department,
+      position: position || undefined,
+      headcount,
+      description,
+      hiringManager: hiringManager || undefined,
+      pipeline: pipeline || undefined,
+      createdBy: req.user.id
+    });
+    setStatus(opening, status);
+
+    await opening.save();
+    res.json(opening);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/openings/:id
+// @desc    Update a job opening. Lowering the headcount to what is already
+//          hired closes it.
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('manage'), openingValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, department, position, headcount, description, status, hiringManager, pipeline } = req.body;
+    const opening = await JobOpening.findById(req.params.id);
+
+    if (!opening) {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+
+    const refError = await checkOpeningRefs({ department, position, hiringManager, pipeline });
+    if (refError) {
+      return res.status(400).json({ message: refError });
+    }
+
+    // Reopening a filled opening needs a higher headcount first
+    const hired = await Candidate.countDocuments({ opening: opening._id, status: 'hired' });
+    if (status && status !== 'closed' && hired >= headcount) {
+      return res.status(400).json({ message: `Headcount of ${headcount} is already filled (${hired} hired)` });
+    }
+
+    opening.title = title;
+    opening.department = department;
+    opening.position = position || undefined;
+    opening.headcount = headcount;
+    if (description !== undefined) opening.description = description;
+    opening.hiringManager = hiringManager || undefined;
+    opening.pipeline = pipeline || undefined;
+    setStatus(opening, status);
+    opening.updatedAt = Date.now();
+
+    await opening.save();
+    res.json(await closeIfFilled(opening._id));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/openings/:id
+// @desc    Delete a job opening nobody has applied against
+// @access  Private (HR, Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const opening = await JobOpening.findById(req.params.id);
+
+    if (!opening) {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+
+    if (await Candidate.exists({ opening: opening._id })) {
+      return res.status(400).json({ message: 'Candidates have applied against this opening; close it instead' });
+    }
+
+    await opening.remove();
+    res.json({ message: 'Job opening removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job opening not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const PayrollComponent = require('../models/PayrollComponent');
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { monthRange, calculateRun } = require('../utils/payroll');
+const { sendPayslipZip } = require('../utils/payslipPdf');
+const { ORG_FIELDS, checkOrgRefs } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  run: ['hr', 'admin'],
+  lock: ['admin'],
+  configure: ['admin']
+});
+
+const MONTH_FORMAT = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const componentValidation = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('code', 'Code is required').not().isEmpty(),
+  check('kind', 'Kind must be earning or deduction').isIn(['earning', 'deduction']),
+  check('calculation', 'Calculation must be fixed or percentage').optional().isIn(['fixed', 'percentage']),
+  check('amount', 'Amount must be a non-negative number').isFloat({ min: 0 }),
+  check('base', 'Base must be basic or gross').optional().isIn(['basic', 'gross'])
+];
+
+// Percentages of gross only make sense for deductions, and can't exceed 100%
+const componentError = ({ kind, calculation, amount, base }) => {
+  if (calculation === 'percentage' && Number(amount) > 100) {
+    return 'A percentage cannot be more than 100';
+  }
+  if (kind === 'earning' && base === 'gross') {
+    return 'Earnings can only be a percentage of basic salary';
+  }
+  return null;
+};
+
+// @route   GET api/payroll/components
+// @desc    Get all earning and deduction components
+// @access  Private (HR, Admin)
+router.get('/components', auth, can('read'), async (req, res) => {
+  try {
+    const components = await PayrollComponent.find().populate(ORG_FIELDS).sort({ kind: 1, code: 1 });
+    res.json(components);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/payroll/components
+// @desc    Create an earning or deduction component
+// @access  Private (Admin)
+router.post('/components', auth, can('configure'), componentValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const message = componentError(req.body) || await checkOrgRefs(req.body);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const { name, code, kind, calculation, amount, base, department, position, active } = req.body;
+
+    const existingComponent = await PayrollComponent.findOne({ code: code.trim().toUpperCase() });
+    if (existingComponent) {
+      return res.status(400).json({ message: 'A component with this code already exists' });
+    }
+
+    const newComponent = new PayrollComponent({
+      name,
+      code,
+      kind,
+      calculation,
+      amount,
+      base,
+      department: department || undefined,
+      position: position || undefined,
+      active
+    });
+
+    const component = await newComponent.save();
+    res.json(component);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/payroll/components/:id
+// @desc    Update a component; takes effect from the next calculation
+// @access  Private (Admin)
+router.put('/components/:id', auth, can('configure'), componentValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const message = componentError(req.body) || await checkOrgRefs(req.body);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const { name, code, kind, calculation, amount, base, department, position, active } = req.body;
+
+    const duplicate = await PayrollComponent.findOne({
+      code: code.trim().toUpperCase(),
+      _id: { $ne: req.params.id }
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: 'A component with this code already exists' });
+    }
+
+    const componentFields = { name, code, kind, amount, updatedAt: Date.now() };
+    if (calculation !== undefined) componentFields.calculation = calculation;
+    if (base !== undefined) componentFields.base = base;
+    if (active !== undefined) componentFields.active = active;
+
+    // A blank department or position widens the component back to everyone
+    const scopeToClear = {};
+    for (const [field, value] of Object.entries({ department, position })) {
+      if (value) {
+        componentFields[field] = value;
+      } else {
+        scopeToClear[field] = '';
+      }
+    }
+
+    const update = { $set: componentFields };
+    if (Object.keys(scopeToClear).length) {
+      update.$unset = scopeToClear;
+    }
+
+    const component = await PayrollComponent.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!component) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+
+    res.json(component);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/payroll/components/:id
+// @desc    Delete a component; existing payslips keep their lines
+// @access  Private (Admin)
+router.delete('/components/:id', auth, can('configure'), async (req, res) => {
+  try {
+    const component = await PayrollComponent.findById(req.params.id);
+
+    if (!component) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+
+    await component.remove();
+    res.json({ message: 'Component removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/payroll/runs
+// @desc    Get payroll runs, newest month first
+// @access  Private (HR, Admin)
+router.get('/runs', auth, can('read'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy', 'name')
+      .populate('lockedBy', 'name')
+      .sort({ month: -1 });
+
+    res.json(runs);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/payroll/runs
+// @desc    Calculate payroll for a month as a draft. Running a month that
+//          already has a draft recalculates it; locked months are refused.
+// @access  Private (HR, Admin)
+router.post('/runs', auth, can('run'), [
+  check('month', 'Month must be in YYYY-MM format').matches(MONTH_FORMAT)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { month } = req.body;
+    const { start, end } = monthRange(month);
+
+    if (start > new Date()) {
+      return res.status(400).json({ message: 'Cannot run payroll for a future month' });
+    }
+
+    let run = await PayrollRun.findOne({ month });
+
+    if (run && run.status === 'locked') {
+      return res.status(400).json({ message: 'Payroll for this month is locked' });
+    }
+
+    if (!run) {
+      run = new PayrollRun({
+        month,
+        periodStart: start,
+        periodEnd: end,
+        createdBy: req.user.id
+      });
+    }
+
+    await calculateRun(run);
+    res.json(run);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/payroll/payslips/:month/download
+// @desc    Download every payslip of a month (YYYY-MM) as one ZIP of PDFs
+// @access  Private (HR, Admin)
+router.get('/payslips/:month/download', auth, can('read'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ month: req.params.month });
+
+    if (!run) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    const payslips = await Payslip.find({ run: run._id }).sort({ employeeName: 1 });
+
+    if (!payslips.length) {
+      return res.status(404).json({ message: 'No payslips found for this month' });
+    }
+
+    await sendPayslipZip(res, payslips, run);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/payroll/runs/:id
+// @desc    Get a payroll run with its payslips
+// @access  Private (HR, Admin)
+router.get('/runs/:id', auth, can('read'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('lockedBy', 'name');
+
+    if (!run) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    const payslips = await Payslip.find({ run: run._id }).sort({ employeeName: 1 });
+
+    res.json({ ...run.toObject(), payslips });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/payroll/runs/:id/lock
+// @desc    Lock a draft run; its payslips can no longer be recalculated
+// @access  Private (Admin)
+router.put('/runs/:id/lock', auth, can('lock'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    if (run.status === 'locked') {
+      return res.status(400).json({ message: 'Payroll run is already locked' });
+    }
+
+    run.status = 'locked';
+    run.lockedBy = req.user.id;
+    run.lockedAt = Date.now();
+    await run.save();
+
+    res.json(run);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/payroll/runs/:id
+// @desc    Delete a draft run and its payslips
+// @access  Private (HR, Admin)
+router.delete('/runs/:id', auth, can('run'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    if (run.status === 'locked') {
+      return res.status(400).json({ message: 'A locked payroll run cannot be deleted' });
+    }
+
+    await Payslip.deleteMany({ run: run._id });
+    await run.remove();
+
+    res.json({ message: 'Payroll run removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const Pipeline = require('../models/Pipeline');
+const Candidate = require('../models/Candidate');
+const JobOpening = require('../models/JobOpening');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { checkOrgRefs } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['admin']
+});
+
+const pipelineValidation = [
+  check('name', 'Name is required').trim().not().isEmpty(),
+  check('position', 'Position must be a designation id').optional({ checkFalsy: true }).isMongoId(),
+  check('stages', 'Stages must be a non-empty list').isArray({ min: 1 }),
+  check('stages.*', 'Stage names are required').trim().not().isEmpty(),
+  check('rounds', 'Rounds must be a list').optional().isArray(),
+  check('rounds.*.name', 'Round names are required').trim().not().isEmpty(),
+  check('rounds.*.required', 'Required must be true or false').optional().isBoolean(),
+  check('rounds.*.criteria', 'Criteria must be a list').optional().isArray()
+];
+
+// @route   GET api/pipelines
+// @desc    Get all recruitment pipelines
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const pipelines = await Pipeline.find()
+      .populate('position', 'title')
+      .sort({ name: 1 });
+    res.json(pipelines);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/pipelines
+// @desc    Create a pipeline for a designation (no position = default for all)
+// @access  Private (Admin)
+router.post('/', auth, can('manage'), pipelineValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, position, stages, rounds } = req.body;
+
+    const existingPipeline = await Pipeline.findOne({ name });
+    if (existingPipeline) {
+      return res.status(400).json({ message: 'A pipeline with this name already exists' });
+    }
+
+    const orgError = await checkOrgRefs({ position });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
+
+    const newPipeline = new Pipeline({
+      name,
+      position: position || undefined,
+      stages,
+      rounds
+    });
+
+    const pipeline = await newPipeline.save();
+    res.json(pipeline);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/pipelines/:id
+// @desc    Update a pipeline. Rounds keep their ids when sent back with _id,
+//          so interviews already held still count towards them.
+// @access  Private (Admin)
+router.put('/:id', auth, can('manage'), pipelineValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, position, stages, rounds, active } = req.body;
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    const orgError = await checkOrgRefs({ position });
+    if (orgError) {
+      return res.status(400).json({ message: orgError });
+    }
+
+    // Candidates sitting in a stage that would disappear must be moved first
+    const removedStages = pipeline.stages.filter(stage => !stages.includes(stage));
+    if (removedStages.length && await Candidate.exists({ pipeline: pipeline._id, stage: { $in: removedStages } })) {
+      return res.status(400).json({ message: `Candidates are still in stage(s): ${removedStages.join(', ')}` });
+    }
+
+    pipeline.name = name;
+    pipeline.position = position || undefined;
+    pipeline.stages = stages;
+    if (rounds !== undefined) pipeline.rounds = rounds;
+    if (active !== undefined) pipeline.active = active;
+    pipeline.updatedAt = Date.now();
+
+    await pipeline.save();
+    res.json(pipeline);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/pipelines/:id
+// @desc    Delete a pipeline no candidate or job opening is using
+// @access  Private (Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    if (await Candidate.exists({ pipeline: pipeline._id })) {
+      return res.status(400).json({ message: 'Pipeline is in use by candidates; deactivate it instead' });
+    }
+
+    if (await JobOpening.exists({ pipeline: pipeline._id })) {
+      return res.status(400).json({ message: 'Pipeline is in use by job openings; deactivate it instead' });
+    }
+
+    await pipeline.remove();
+    res.json({ message: 'Pipeline removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const Regularization = require('../models/Regularization');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { timeOn, evaluateAttendance } = require('../utils/attendanceRules');
+const { scheduleOn } = require('../utils/shifts');
+const { parseDay } = require('../utils/workCalendar');
+const { EMPLOYEE_SUMMARY } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin', 'employee'],
+  request: ['hr', 'admin', 'employee'],
+  review: ['hr', 'admin', 'employee']
+});
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isManagerOf = (user, employee) =>
+  !!user.employee && !!employee.manager && employee.manager.toString() === user.employee.toString();
+
+const isSelf = (user, employee) =>
+  !!user.employee && user.employee.toString() === employee._id.toString();
+
+// Find the attendance record for an employee's day, if there is one
+const findDayRecord = (employeeId, date) => {
+  const dayEnd = new Date(date);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  return Attendance.findOne({ employee: employeeId, date: { $gte: date, $lte: dayEnd } });
+};
+
+// @route   GET api/regularizations
+// @desc    Get regularization requests. HR and admins see all; employees see
+//          their own and their direct reports'
+// @access  Private (HR, Admin, Employee)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const { employee, status } = req.query;
+    const query = {};
+
+    if (req.user.role === 'employee') {
+      const reports = await Employee.find({ manager: req.user.employee }).select('_id');
+      query.employee = { $in: [req.user.employee, ...reports.map(report => report._id)] };
+    } else if (employee) {
+      query.employee = employee;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const regularizations = await Regularization.find(query)
+      .populate(EMPLOYEE_SUMMARY)
+      .sort({ createdAt: -1 });
+
+    res.json(regularizations);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/regularizations
+// @desc    Request a correction of one day's attendance, with a reason.
+//          Employees request for themselves, managers for their reports
+// @access  Private (HR, Admin, Employee)
+router.post('/', auth, can('request'), [
+  check('date', 'A valid date is required').isISO8601(),
+  check('reason', 'Reason is required').not().isEmpty(),
+  check('requestedStatus', 'Invalid status').optional().isIn(['present', 'absent', 'half-day']),
+  check('checkIn', 'Check-in must be HH:mm').optional().matches(TIME_FORMAT),
+  check('checkOut', 'Check-out must be HH:mm').optional().matches(TIME_FORMAT)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { reason, requestedStatus, checkIn, checkOut } = req.body;
+    const employeeId = req.body.employee || req.user.employee;
+    const date = parseDay(req.body.date);
+
+    if (!requestedStatus && !checkIn) {
+      return res.status(400).json({ message: 'Request a status, a check-in time, or both' });
+    }
+
+    if (date > new Date()) {
+      return res.status(400).json({ message: 'Only past or current days can be regularized' });
+    }
+
+    const employee = employeeId && await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    if (req.user.role === 'employee' && !isSelf(req.user, employee) && !isManagerOf(req.user, employee)) {
+      return permit.forbidden(res);
+    }
+
+    const attendance = await findDayRecord(employee._id, date);
+    if (attendance && attendance.leave) {
+      return res.status(400).json({ message: 'This day is covered by an approved leave; cancel the leave instead' });
+    }
+
+    const existingRequest = await Regularization.findOne({ employee: employee._id, date, status: 'pending' });
+    if (existingRequest) {
+      return res.status(400).json({ message: 'A regularization request is already pending for this day' });
+    }
+
+    const newRegularization = new Regularization({
+      employee: employee._id,
+      date,
+      attendance: attendance ? attendance._id : undefined,
+      requestedStatus,
+      reason,
+      requestedBy: req.user.id
+    });
+
+    if (checkIn) {
+      newRegularization.requestedCheckIn = timeOn(date, checkIn);
+      if (checkOut) {
+        newRegularization.requestedCheckOut = timeOn(date, checkOut);
+        // Check-out before check-in: a night shift ending the next day
+        if (newRegularization.requestedCheckOut <= newRegularization.requestedCheckIn) {
+          newRegularization.requestedCheckOut.setDate(newRegularization.requestedCheckOut.getDate() + 1);
+        }
+      }
+    }
+
+    const regularization = await newRegularization.save();
+    await regularization.populate(EMPLOYEE_SUMMARY);
+
+    res.json(regularization);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// Approve or reject a pending request. The employee's manager, HR or an
+// admin may review, but never the person who asked.
+const reviewRegularization = (decision) => async (req, res) => {
+  try {
+    const regularization = await Regularization.findById(req.params.id);
+
+    if (!regularization) {
+      return res.status(404).json({ message: 'Regularization not found' });
+    }
+
+    if (regularization.status !== 'pending') {
+      return res.status(400).json({ message: `Regularization is already ${regularization.status}` });
+    }
+
+    const employee = await Employee.findById(regularization.employee);
+    const isReviewer = req.user.role !== 'employee' || (employee && isManagerOf(req.user, employee));
+    if (!isReviewer || regularization.requestedBy.toString() === req.user.id) {
+      return permit.forbidden(res);
+    }
+
+    if (decision === 'approved') {
+      let attendance = await findDayRecord(regularization.employee, regularization.date);
+
+      if (attendance && attendance.leave) {
+        return res.status(400).json({ message: 'This day is now covered by an approved leave' });
+      }
+
+      // Keep the values being replaced for audit
+      regularization.original = attendance
+        ? { status: attendance.status, punches: attendance.punches, workedHours: attendance.workedHours }
+        : null;
+
+      if (!attendance) {
+        attendance = new Attendance({
+          employee: regularization.employee,
+          date: regularization.date,
+          status: regularization.requestedStatus || 'present',
+          createdBy: req.user.id
+        });
+      }
+
+      if (regularization.requestedCheckIn) {
+        attendance.punches = [{
+          type: 'in',
+          time: regularization.requestedCheckIn,
+          source: 'manual',
+          recordedBy: req.user.id
+        }];
+        if (regularization.requestedCheckOut) {
+          attendance.punches.push({
+            type: 'out',
+            time: regularization.requestedCheckOut,
+            source: 'manual',
+            recordedBy: req.user.id
+          });
+        }
+
+        evaluateAttendance(attendance, await scheduleOn(regularization.employee, regularization.date));
+      }
+
+      // An explicitly requested status wins over the derived one
+      if (regularization.requestedStatus) {
+        attendance.status = regularization.requestedStatus;
+      }
+
+      // The corrected record no longer reflects the unmarked-days job
+      attendance.autoMarked = false;
+      attendance.regularization = regularization._id;
+      await attendance.save();
+      regularization.attendance = attendance._id;
+    }
+
+    regularization.status = decision;
+    regularization.reviewedBy = req.user.id;
+    regularization.reviewedAt = Date.now();
+    regularization.reviewComment = req.body.comment;
+    await regularization.save();
+
+    await regularization.populate(EMPLOYEE_SUMMARY);
+
+    res.json(regularization);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Regularization not found' });
+    }
+    res.status(500).send('Server error');
+  }
+};
+
+// @route   PUT api/regularizations/:id/approve
+// @desc    Approve a request and apply it to the attendance record
+// @access  Private (HR, Admin, Employee as manager)
+router.put('/:id/approve', auth, can('review'), reviewRegularization('approved'));
+
+// @route   PUT api/regularizations/:id/reject
+// @desc    Reject a request; attendance is left unchanged
+// @access  Private (HR, Admin, Employee as manager)
+router.put('/:id/reject', auth, can('review'), reviewRegularization('rejected'));
+
+// @route   PUT api/regularizations/:id/cancel
+// @desc    Withdraw a pending request (requester only)
+// @access  Private (HR, Admin, Employee)
+router.put('/:id/cancel', auth, can('request'), async (req, res) => {
+  try {
+    const regularization = await Regularization.findById(req.params.id);
+
+    if (!regularization) {
+      return res.status(404).json({ message: 'Regularization not found' });
+    }
+
+    if (regularization.requestedBy.toString() !== req.user.id) {
+      return permit.forbidden(res);
+    }
+
+    if (regularization.status !== 'pending') {
+      return res.status(400).json({ message: `Regularization is already ${regularization.status}` });
+    }
+
+    regularization.status = 'cancelled';
+    await regularization.save();
+
+    res.json(regularization);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Regularization not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
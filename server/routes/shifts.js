@@ -0,0 +1,252 @@
+const express = require('express');
+const Shift = require('../models/Shift');
+const Roster = require('../models/Roster');
+const Employee = require('../models/Employee');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { weekStartOf } = require('../utils/shifts');
+const { EMPLOYEE_SUMMARY } = require('../utils/orgStructure');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['hr', 'admin'],
+  manage: ['hr', 'admin']
+});
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const shiftValidation = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('startTime', 'Start time must be HH:mm').matches(TIME_FORMAT),
+  check('endTime', 'End time must be HH:mm').matches(TIME_FORMAT),
+  check('graceMinutes', 'Grace minutes must be a non-negative number').optional().isInt({ min: 0 }),
+  check('fullDayHours', 'Full day hours must be between 0 and 24').optional().isFloat({ min: 0, max: 24 }),
+  check('halfDayHours', 'Half day hours must be between 0 and 24').optional().isFloat({ min: 0, max: 24 })
+];
+
+// @route   GET api/shifts
+// @desc    Get all shift templates
+// @access  Private (HR, Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true') {
+      query.active = true;
+    }
+
+    const shifts = await Shift.find(query).sort({ startTime: 1 });
+    res.json(shifts);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/shifts
+// @desc    Create a shift template
+// @access  Private (HR, Admin)
+router.post('/', auth, can('manage'), shiftValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, startTime, endTime, graceMinutes, fullDayHours, halfDayHours } = req.body;
+
+    const existingShift = await Shift.findOne({ name });
+    if (existingShift) {
+      return res.status(400).json({ message: 'A shift with this name already exists' });
+    }
+
+    const newShift = new Shift({
+      name,
+      startTime,
+      endTime,
+      graceMinutes,
+      fullDayHours,
+      halfDayHours
+    });
+
+    const shift = await newShift.save();
+    res.json(shift);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'A shift with this name already exists' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/shifts/rosters
+// @desc    Get rosters for the week containing weekStart (default: this week)
+// @access  Private (HR, Admin)
+router.get('/rosters', auth, can('read'), async (req, res) => {
+  try {
+    const weekStart = weekStartOf(req.query.weekStart ? new Date(req.query.weekStart) : new Date());
+    const query = { weekStart };
+
+    if (req.query.employee) {
+      query.employee = req.query.employee;
+    }
+
+    const rosters = await Roster.find(query)
+      .populate(EMPLOYEE_SUMMARY)
+      .populate({
+        path: 'days',
+        select: 'name startTime endTime',
+        options: { retainNullValues: true } // keep off days in place
+      });
+
+    res.json({ weekStart, rosters });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/shifts/rosters
+// @desc    Assign shifts for a week. Body: { weekStart, assignments: [{ employee,
+//          days: [7 shift ids or null, Monday first] }] }; returns per-row results
+// @access  Private (HR, Admin)
+router.put('/rosters', auth, can('manage'), [
+  check('weekStart', 'A valid week start date is required').isISO8601(),
+  check('assignments', 'Assignments must be a non-empty list').isArray({ min: 1 }),
+  check('assignments.*.employee', 'Each assignment needs a valid employee id').isMongoId(),
+  check('assignments.*.days', 'Each assignment needs 7 days, Monday first').isArray({ min: 7, max: 7 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const weekStart = weekStartOf(new Date(req.body.weekStart));
+    const shiftIds = new Set((await Shift.find({ active: true }).select('_id')).map(shift => shift.id));
+    const results = [];
+
+    for (const assignment of req.body.assignments) {
+      const days = assignment.days.map(day => day || null);
+
+      const employee = await Employee.findById(assignment.employee);
+      if (!employee || employee.status !== 'active') {
+        results.push({ employee: assignment.employee, status: 'error', message: 'Active employee not found' });
+        continue;
+      }
+
+      if (days.some(day => day && !shiftIds.has(String(day)))) {
+        results.push({ employee: assignment.employee, status: 'error', message: 'Unknown or inactive shift' });
+        continue;
+      }
+
+      const roster = await Roster.findOneAndUpdate(
+        { employee: employee._id, weekStart },
+        { $set: { days, createdBy: req.user.id, updatedAt: Date.now() } },
+        { upsert: true, new: true }
+      );
+
+      results.push({ employee: assignment.employee, status: 'saved', roster: roster._id });
+    }
+
+    res.json({ weekStart, results });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/shifts/rosters/:id
+// @desc    Remove a roster; the employee falls back to company hours that week
+// @access  Private (HR, Admin)
+router.delete('/rosters/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const roster = await Roster.findById(req.params.id);
+
+    if (!roster) {
+      return res.status(404).json({ message: 'Roster not found' });
+    }
+
+    await roster.remove();
+    res.json({ message: 'Roster removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Roster not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/shifts/:id
+// @desc    Update a shift template
+// @access  Private (HR, Admin)
+router.put('/:id', auth, can('manage'), shiftValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, startTime, endTime, graceMinutes, fullDayHours, halfDayHours, active } = req.body;
+
+    const shiftFields = { name, startTime, endTime };
+    if (graceMinutes !== undefined) shiftFields.graceMinutes = graceMinutes;
+    if (fullDayHours !== undefined) shiftFields.fullDayHours = fullDayHours;
+    if (halfDayHours !== undefined) shiftFields.halfDayHours = halfDayHours;
+    if (active !== undefined) shiftFields.active = active;
+
+    const shift = await Shift.findByIdAndUpdate(
+      req.params.id,
+      { $set: shiftFields },
+      { new: true, runValidators: true }
+    );
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    res.json(shift);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'A shift with this name already exists' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/shifts/:id
+// @desc    Delete a shift template that no roster uses
+// @access  Private (HR, Admin)
+router.delete('/:id', auth, can('manage'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    const inUse = await Roster.exists({ days: shift._id });
+    if (inUse) {
+      return res.status(400).json({ message: 'Shift is used in rosters; deactivate it instead' });
+    }
+
+    await shift.remove();
+    res.json({ message: 'Shift removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
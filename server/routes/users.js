@@ -0,0 +1,212 @@
+const express = require('express');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { revokeUserSessions } = require('../utils/tokens');
+const { check, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Role permissions for this router
+const can = permit({
+  read: ['admin'],
+  manage: ['admin']
+});
+
+// Guard against an admin locking everybody out of user management
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.active) return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', active: true });
+  return activeAdmins <= 1;
+};
+
+// @route   GET api/users
+// @desc    Get all users
+// @access  Private (Admin)
+router.get('/', auth, can('read'), async (req, res) => {
+  try {
+    const { search, role, active, sort } = req.query;
+    let query = {};
+
+    // Search functionality
+    if (search) {
+      query = {
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { email: { $regex: search, $options: 'i' } }
+        ]
+      };
+    }
+
+    // Filter by role
+    if (role) {
+      query.role = role;
+    }
+
+    // Filter by active flag
+    if (active === 'true' || active === 'false') {
+      query.active = active === 'true';
+    }
+
+    // Sort options
+    let sortOption = { createdAt: -1 }; // Default: newest first
+    if (sort === 'name') {
+      sortOption = { name: 1 };
+    } else if (sort === 'role') {
+      sortOption = { role: 1 };
+    }
+
+    const users = await User.find(query).select('-password').sort(sortOption);
+    res.json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/users/:id
+// @desc    Get user by ID
+// @access  Private (Admin)
+router.get('/:id', auth, can('read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/users/:id/deactivate
+// @desc    Deactivate a user and revoke their sessions
+// @access  Private (Admin)
+router.put('/:id/deactivate', auth, can('manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+    }
+
+    user.active = false;
+    user.deactivatedAt = Date.now();
+    await user.save();
+    await revokeUserSessions(user._id, 'deactivated');
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/users/:id/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (Admin)
+router.put('/:id/reactivate', auth, can('manage'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: true }, $unset: { deactivatedAt: '' } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/users/:id/unlock
+// @desc    Clear a lockout caused by failed logins
+// @access  Private (Admin)
+router.put('/:id/unlock', auth, can('manage'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: '' } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (Admin)
+router.put('/:id/role', auth, can('manage'), [
+  check('role', 'Role must be hr or admin').isIn(['hr', 'admin'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'employee') {
+      return res.status(400).json({ message: 'Employee portal accounts cannot be given a staff role' });
+    }
+
+    if (user.role === 'admin' && role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote the last active admin' });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
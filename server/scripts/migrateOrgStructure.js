@@ -0,0 +1,143 @@
+// One-off migration from free-text department and position strings to
+// Department and Designation records.
+//
+//   node scripts/migrateOrgStructure.js [--dry-run] [--aliases=aliases.json]
+//
+// Spellings that differ only in case or spacing ("Engineering", "engineering ")
+// are merged automatically, using the most common spelling as the name. Other
+// variants can be mapped with an aliases file:
+//
+//   { "departments": { "Engg": "Engineering" }, "designations": { "Sr Dev": "Senior Developer" } }
+//
+// Employees, leave policies, payroll components, lifecycle events and
+// recruitment pipelines are updated in place. Safe to re-run: values that are already ids are skipped.
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Department = require('../models/Department');
+const Designation = require('../models/Designation');
+const { findDepartmentByName, findDesignationByTitle } = require('../utils/orgStructure');
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const aliasArg = args.find(arg => arg.startsWith('--aliases='));
+const aliases = aliasArg ? JSON.parse(fs.readFileSync(aliasArg.split('=')[1], 'utf8')) : {};
+
+// Which string fields of which collections hold departments or designations
+const TARGETS = {
+  departments: [
+    ['employees', 'department'],
+    ['leavepolicies', 'department'],
+    ['payrollcomponents', 'department'],
+    ['employeeevents', 'fromDepartment'],
+    ['employeeevents', 'toDepartment']
+  ],
+  designations: [
+    ['employees', 'position'],
+    ['leavepolicies', 'position'],
+    ['payrollcomponents', 'position'],
+    ['employeeevents', 'fromPosition'],
+    ['employeeevents', 'toPosition'],
+    ['pipelines', 'position']
+  ]
+};
+
+const clean = (value) => String(value).trim().replace(/\s+/g, ' ');
+const keyOf = (value) => clean(value).toLowerCase();
+
+// Map each raw value to a canonical name: aliases first, then merge by case.
+// usage maps each raw value to the number of records using it.
+const canonicalNames = (usage, aliasMap = {}) => {
+  const aliasByKey = new Map(Object.entries(aliasMap).map(([from, to]) => [keyOf(from), clean(to)]));
+  const values = [...usage.keys()];
+  const resolved = values.map(value => aliasByKey.get(keyOf(value)) || clean(value));
+
+  // Most used spelling of each case-insensitive name wins
+  const spellings = new Map();
+  resolved.forEach((name, index) => {
+    const counts = spellings.get(keyOf(name)) || new Map();
+    counts.set(name, (counts.get(name) || 0) + usage.get(values[index]));
+    spellings.set(keyOf(name), counts);
+  });
+
+  const preferred = (name) => [...spellings.get(keyOf(name)).entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+
+  return new Map(values.map((value, index) => [value, preferred(resolved[index])]));
+};
+
+const migrate = async (kind, findExisting, create) => {
+  const db = mongoose.connection.db;
+  const usage = new Map();
+
+  for (const [collection, field] of TARGETS[kind]) {
+    const counts = await db.collection(collection).aggregate([
+      { $match: { [field]: { $type: 'string', $ne: '' } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]).toArray();
+
+    for (const { _id: value, count } of counts) {
+      if (clean(value)) {
+        usage.set(value, (usage.get(value) || 0) + count);
+      }
+    }
+  }
+
+  const names = canonicalNames(usage, aliases[kind]);
+  const idByName = new Map();
+
+  for (const name of new Set(names.values())) {
+    const existing = await findExisting(name);
+    if (existing) {
+      idByName.set(name, existing._id);
+    } else if (dryRun) {
+      idByName.set(name, `(new ${kind.slice(0, -1)})`);
+    } else {
+      idByName.set(name, (await create(name))._id);
+    }
+  }
+
+  console.log(`\n${kind}:`);
+  for (const [value, name] of names) {
+    console.log(`  "${value}" -> ${name} ${idByName.get(name)}`);
+  }
+
+  if (dryRun) return;
+
+  for (const [collection, field] of TARGETS[kind]) {
+    for (const [value, name] of names) {
+      try {
+        const result = await db.collection(collection).updateMany(
+          { [field]: value },
+          { $set: { [field]: idByName.get(name) } }
+        );
+        if (result.modifiedCount) {
+          console.log(`  ${collection}.${field}: ${result.modifiedCount} x "${value}"`);
+        }
+      } catch (err) {
+        // e.g. two leave policies that become the same department/position
+        console.error(`  ${collection}.${field} "${value}" not migrated: ${err.message}`);
+      }
+    }
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await Promise.all([Department.init(), Designation.init()]);
+
+  console.log(dryRun ? 'Dry run: nothing will be written' : 'Migrating');
+
+  await migrate('departments', findDepartmentByName, name => new Department({ name }).save());
+  await migrate('designations', findDesignationByTitle, title => new Designation({ title }).save());
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,14 +1,43 @@
+const dotenv = require('dotenv');
+
+// Load .env before anything else is required, as modules read their settings
+// from process.env when they load
+dotenv.config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const candidateRoutes = require('./routes/candidates');
 const employeeRoutes = require('./routes/employees');
 const attendanceRoutes = require('./routes/attendance');
 const leaveRoutes = require('./routes/leaves');
+const leavePolicyRoutes = require('./routes/leavePolicies');
+const holidayRoutes = require('./routes/holidays');
+const shiftRoutes = require('./routes/shifts');
+const regularizationRoutes = require('./routes/regularizations');
+const meRoutes = require('./routes/me');
+const payrollRoutes = require('./routes/payroll');
+const departmentRoutes = require('./routes/departments');
+const designationRoutes = require('./routes/designations');
+const pipelineRoutes = require('./routes/pipelines');
+const interviewRoutes = require('./routes/interviews');
+const openingRoutes = require('./routes/openings');
+const offerRoutes = require('./routes/offers');
+const { startAutoAbsenceJob } = require('./jobs/autoAbsence');
+const { startSalaryRevisionJob } = require('./jobs/salaryRevisions');
+const { startEmployeeEventJob } = require('./jobs/employeeEvents');
+const { startOfferExpiryJob } = require('./jobs/offerExpiry');
+const { checkKey } = require('./utils/encryption');
 
-dotenv.config();
+// Sensitive employee fields cannot be read or written without the key
+try {
+  checkKey();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 const app = express();
 
@@ -18,15 +47,34 @@ app.use(cors());
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startAutoAbsenceJob();
+    startSalaryRevisionJob();
+    startEmployeeEventJob();
+    startOfferExpiryJob();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/candidates', candidateRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/leaves', leaveRoutes);
+app.use('/api/leave-policies', leavePolicyRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/regularizations', regularizationRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/designations', designationRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/interviews', interviewRoutes);
+app.use('/api/openings', openingRoutes);
+app.use('/api/offers', offerRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
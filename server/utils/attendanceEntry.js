@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+
+// Checks shared by every way of creating attendance (single, bulk, import):
+// the employee must exist and be active, and must not already have a record
+// for that day. Returns { status, message } on failure, or { employee }.
+const checkAttendanceEntry = async (employeeId, date) => {
+  const employee = mongoose.Types.ObjectId.isValid(employeeId) && await Employee.findById(employeeId);
+  if (!employee) {
+    return { status: 404, message: 'Employee not found' };
+  }
+
+  if (employee.status !== 'active') {
+    return { status: 400, message: 'Only active employees can have attendance records' };
+  }
+
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const dayEnd = new Date(date);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const existingAttendance = await Attendance.findOne({
+    employee: employee._id,
+    date: { $gte: dayStart, $lte: dayEnd }
+  });
+
+  if (existingAttendance) {
+    return { status: 400, message: 'Attendance record already exists for this employee on this date' };
+  }
+
+  return { employee };
+};
+
+module.exports = { checkAttendanceEntry };
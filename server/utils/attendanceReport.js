@@ -0,0 +1,331 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Roster = require('../models/Roster');
+const Shift = require('../models/Shift');
+const { getRules } = require('./attendanceRules');
+const { weekStartOf, rosterDayIndex } = require('./shifts');
+const { ORG_FIELDS } = require('./orgStructure');
+const { loadCalendar, datesBetween, isWorkingDay, workingDates } = require('./workCalendar');
+
+// Group dates in the server's own timezone, matching how days are stored
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+const statusTotals = {
+  present: countStatus('present'),
+  absent: countStatus('absent'),
+  halfDay: countStatus('half-day'),
+  leave: countStatus('leave')
+};
+
+const trendStages = (format) => [
+  {
+    $group: {
+      _id: { $dateToString: { format, date: '$date', timezone: TIMEZONE } },
+      ...statusTotals,
+      late: { $sum: { $cond: ['$isLate', 1, 0] } }
+    }
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, period: '$_id', present: 1, absent: 1, halfDay: 1, leave: 1, late: 1 } }
+];
+
+// Days actually attended; a half day counts as half
+const attendedDays = (totals) => totals.present + totals.halfDay / 2;
+
+// Attendance against the days the employee was expected to work, not
+// counting days taken as approved leave
+const attendancePercentage = (totals, scheduledDays) => {
+  const expected = scheduledDays - totals.leave;
+  return expected > 0 ? round(Math.min(attendedDays(totals) / expected, 1) * 100) : null;
+};
+
+const emptyTotals = () => ({
+  present: 0,
+  absent: 0,
+  halfDay: 0,
+  leave: 0,
+  lateArrivals: 0,
+  lateMinutes: 0,
+  earlyDepartures: 0,
+  workedHours: 0,
+  scheduledDays: 0,
+  scheduledHours: 0,
+  employees: 0
+});
+
+const addTotals = (into, from) => {
+  Object.keys(into).forEach(key => {
+    into[key] += key === 'employees' ? 1 : from[key];
+  });
+  return into;
+};
+
+// Sum employee rows into per-department or per-position groups, keyed by the
+// populated ref; label names the field shown when sorting
+const rollup = (rows, field, label) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const ref = row.employee[field] || null;
+    const key = ref ? String(ref._id) : 'unassigned';
+    const group = groups.get(key) || { ref, totals: emptyTotals() };
+
+    addTotals(group.totals, { ...row.attendance, ...row.lateness, ...row.schedule });
+    groups.set(key, group);
+  }
+
+  const nameOf = (ref) => (ref ? ref[label] : 'Unassigned');
+
+  return [...groups.values()]
+    .map(({ ref, totals }) => ({
+      [field]: ref,
+      employees: totals.employees,
+      present: totals.present,
+      absent: totals.absent,
+      halfDay: totals.halfDay,
+      leave: totals.leave,
+      lateArrivals: totals.lateArrivals,
+      earlyDepartures: totals.earlyDepartures,
+      workedHours: round(totals.workedHours),
+      scheduledDays: totals.scheduledDays,
+      attendancePercentage: attendancePercentage(totals, totals.scheduledDays)
+    }))
+    .sort((a, b) => nameOf(a[field]).localeCompare(nameOf(b[field])));
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled days and hours per employee between two dates, as
+// (employee) => { days, hours }, counting only days the employee was on the
+// books. Unrostered weeks follow the company calendar, the same for everyone,
+// so it is walked once; rostered days are counted by MongoDB. An employee's
+// total is the company schedule with their rostered weeks swapped out for
+// their rosters. Rostered days of the few who joined or left during the
+// range come back one by one so they can be cut to those dates.
+const loadScheduledTotals = async (employees, start, end, calendar) => {
+  const rules = await getRules();
+  const dates = datesBetween(start, end);
+
+  // Position of a date's day within the range
+  const offsetOf = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return Math.round((day - dates[0]) / DAY_MS);
+  };
+
+  // Company working days before each day of the range, so any stretch of it
+  // is counted by subtraction
+  const before = [0];
+  dates.forEach((date, index) => before.push(before[index] + (isWorkingDay(date, calendar) ? 1 : 0)));
+  const companyDays = (from, to) => {
+    const first = Math.max(from, 0);
+    const last = Math.min(to, dates.length - 1);
+    return first > last ? 0 : before[last + 1] - before[first];
+  };
+
+  // Days of the range the employee was on the books
+  const windowOf = (employee) => ({
+    from: employee.joiningDate ? offsetOf(employee.joiningDate) : 0,
+    to: employee.exitDate ? offsetOf(employee.exitDate) : dates.length - 1
+  });
+  const partial = employees
+    .filter(employee => {
+      const { from, to } = windowOf(employee);
+      return from > 0 || to < dates.length - 1;
+    })
+    .map(employee => employee._id);
+
+  // Only the part of the first and last weeks inside the range counts
+  const firstWeek = weekStartOf(start);
+  const lastWeek = weekStartOf(end);
+  const inRange = {
+    $and: [
+      { $or: [{ $ne: ['$weekStart', firstWeek] }, { $gte: ['$dayIndex', rosterDayIndex(start)] }] },
+      { $or: [{ $ne: ['$weekStart', lastWeek] }, { $lte: ['$dayIndex', rosterDayIndex(end)] }] }
+    ]
+  };
+  const rosteredDays = [
+    { $unwind: { path: '$days', includeArrayIndex: 'dayIndex' } },
+    { $match: { days: { $ne: null }, $expr: inRange } },
+    // Days whose shift no longer exists are off, as in loadSchedules
+    { $lookup: { from: Shift.collection.name, localField: 'days', foreignField: '_id', as: 'shift' } },
+    { $unwind: '$shift' }
+  ];
+
+  const [facets] = await Roster.aggregate([
+    {
+      $match: {
+        employee: { $in: employees.map(employee => employee._id) },
+        weekStart: { $gte: firstWeek, $lte: end }
+      }
+    },
+    {
+      $facet: {
+        weeks: [{ $group: { _id: '$employee', weeks: { $push: '$weekStart' } } }],
+        shifts: [
+          { $match: { employee: { $nin: partial } } },
+          ...rosteredDays,
+          {
+            $group: {
+              _id: '$employee',
+              days: { $sum: 1 },
+              hours: { $sum: '$shift.fullDayHours' }
+            }
+          }
+        ],
+        partialShifts: [
+          { $match: { employee: { $in: partial } } },
+          ...rosteredDays,
+          { $project: { _id: 0, employee: 1, weekStart: 1, dayIndex: 1, hours: '$shift.fullDayHours' } }
+        ]
+      }
+    }
+  ]);
+
+  const weeksByEmployee = new Map(facets.weeks.map(row => [String(row._id), row.weeks]));
+  const shiftsByEmployee = new Map(facets.shifts.map(row => [String(row._id), row]));
+  const partialShiftsByEmployee = new Map();
+  for (const day of facets.partialShifts) {
+    const key = String(day.employee);
+    partialShiftsByEmployee.set(key, [...(partialShiftsByEmployee.get(key) || []), day]);
+  }
+
+  return (employee) => {
+    const { from, to } = windowOf(employee);
+    let days = companyDays(from, to);
+
+    for (const weekStart of weeksByEmployee.get(employee.id) || []) {
+      const weekOffset = offsetOf(weekStart);
+      days -= companyDays(Math.max(weekOffset, from), Math.min(weekOffset + 6, to));
+    }
+
+    const totals = { days, hours: days * rules.fullDayHours };
+
+    const rostered = shiftsByEmployee.get(employee.id);
+    if (rostered) {
+      totals.days += rostered.days;
+      totals.hours += rostered.hours;
+    }
+
+    for (const day of partialShiftsByEmployee.get(employee.id) || []) {
+      const offset = offsetOf(day.weekStart) + day.dayIndex;
+      if (offset >= from && offset <= to) {
+        totals.days += 1;
+        totals.hours += day.hours;
+      }
+    }
+
+    return totals;
+  };
+};
+
+// Attendance analytics between two dates for everyone employed at any point
+// in them, including those who have since left. Record scanning and counting
+// happen in MongoDB aggregations, as does counting the days rosters
+// schedule; the company calendar is walked once, not per employee.
+const buildAttendanceReport = async ({ start, end, department, top = 10 }) => {
+  const employeeQuery = {
+    joiningDate: { $lte: end },
+    $or: [{ status: 'active' }, { exitDate: { $gte: start } }]
+  };
+  if (department) {
+    employeeQuery.department = department;
+  }
+
+  const employees = await Employee.find(employeeQuery)
+    .select('name position department joiningDate exitDate')
+    .populate(ORG_FIELDS);
+  const employeeIds = employees.map(employee => employee._id);
+
+  const [facets] = await Attendance.aggregate([
+    { $match: { employee: { $in: employeeIds }, date: { $gte: start, $lte: end } } },
+    {
+      $facet: {
+        perEmployee: [
+          {
+            $group: {
+              _id: '$employee',
+              ...statusTotals,
+              lateArrivals: { $sum: { $cond: ['$isLate', 1, 0] } },
+              lateMinutes: { $sum: { $ifNull: ['$lateByMinutes', 0] } },
+              earlyDepartures: { $sum: { $cond: ['$isEarlyDeparture', 1, 0] } },
+              workedHours: { $sum: { $ifNull: ['$workedHours', 0] } }
+            }
+          }
+        ],
+        byDay: trendStages('%Y-%m-%d'),
+        byMonth: trendStages('%Y-%m')
+      }
+    }
+  ]);
+
+  const totalsByEmployee = new Map(facets.perEmployee.map(totals => [totals._id.toString(), totals]));
+
+  // Days each employee was rostered (or, unrostered, company working days)
+  // while on the books
+  const calendar = await loadCalendar(start, end);
+  const scheduledFor = await loadScheduledTotals(employees, start, end, calendar);
+
+  const rows = employees.map(employee => {
+    const totals = totalsByEmployee.get(employee.id) || emptyTotals();
+    const scheduled = scheduledFor(employee);
+
+    return {
+      employee: {
+        _id: employee._id,
+        name: employee.name,
+        position: employee.position,
+        department: employee.department
+      },
+      attendance: {
+        present: totals.present,
+        absent: totals.absent,
+        halfDay: totals.halfDay,
+        leave: totals.leave,
+        total: totals.present + totals.absent + totals.halfDay + totals.leave
+      },
+      lateness: {
+        lateArrivals: totals.lateArrivals,
+        lateMinutes: totals.lateMinutes,
+        averageLateMinutes: totals.lateArrivals ? round(totals.lateMinutes / totals.lateArrivals) : 0,
+        earlyDepartures: totals.earlyDepartures
+      },
+      schedule: {
+        scheduledDays: scheduled.days,
+        scheduledHours: round(scheduled.hours),
+        workedHours: round(totals.workedHours)
+      },
+      attendancePercentage: attendancePercentage(totals, scheduled.days)
+    };
+  });
+
+  return {
+    startDate: start,
+    endDate: end,
+    workingDays: workingDates(start, end, calendar).length,
+    employees: rows,
+    trends: {
+      byDay: facets.byDay,
+      byMonth: facets.byMonth
+    },
+    departments: rollup(rows, 'department', 'name'),
+    positions: rollup(rows, 'position', 'title'),
+    topAbsentees: rows
+      .filter(row => row.attendance.absent + row.attendance.halfDay > 0)
+      .sort((a, b) =>
+        (b.attendance.absent + b.attendance.halfDay / 2) - (a.attendance.absent + a.attendance.halfDay / 2))
+      .slice(0, top)
+      .map(row => ({
+        employee: row.employee,
+        absent: row.attendance.absent,
+        halfDay: row.attendance.halfDay,
+        attendancePercentage: row.attendancePercentage
+      }))
+  };
+};
+
+module.exports = { buildAttendanceReport };
@@ -0,0 +1,93 @@
+const Setting = require('../models/Setting');
+
+// Company working hours and the thresholds that turn punches into a status
+const DEFAULT_RULES = {
+  workStart: '09:30',
+  workEnd: '18:30',
+  graceMinutes: 10,
+  fullDayHours: 8,
+  halfDayHours: 4
+};
+
+const getRules = async () => ({
+  ...DEFAULT_RULES,
+  ...(await Setting.getValue('attendanceRules', {}))
+});
+
+// The given 'HH:mm' on the same calendar day as date
+const timeOn = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Expected start/end of work for a day under the company rules
+const scheduleFor = (date, rules) => ({
+  start: timeOn(date, rules.workStart),
+  end: timeOn(date, rules.workEnd),
+  graceMinutes: rules.graceMinutes,
+  fullDayHours: rules.fullDayHours,
+  halfDayHours: rules.halfDayHours
+});
+
+const minutesBetween = (from, to) => Math.round((to - from) / 60000);
+
+// Recompute worked time, lateness and status from the record's punches.
+// Time is counted only for completed in/out pairs; while the employee is
+// still clocked in the day stays provisionally 'present'. Days set by an
+// approved leave keep their status.
+const evaluateAttendance = (attendance, schedule) => {
+  const punches = [...attendance.punches].sort((a, b) => a.time - b.time);
+  if (!punches.length) return attendance;
+
+  let workedMinutes = 0;
+  let openIn = null;
+
+  for (const punch of punches) {
+    if (punch.type === 'in') {
+      openIn = openIn || punch.time;
+    } else if (openIn) {
+      workedMinutes += minutesBetween(openIn, punch.time);
+      openIn = null;
+    }
+  }
+
+  const firstIn = punches.find(punch => punch.type === 'in');
+  const lastOut = [...punches].reverse().find(punch => punch.type === 'out');
+
+  attendance.firstIn = firstIn ? firstIn.time : undefined;
+  attendance.lastOut = lastOut ? lastOut.time : undefined;
+  attendance.workedHours = Math.round(workedMinutes / 60 * 100) / 100;
+
+  // Nobody is late or leaves early on a day they were not scheduled to work
+  const lateBy = firstIn && !schedule.off ? minutesBetween(schedule.start, firstIn.time) : 0;
+  attendance.lateByMinutes = lateBy > schedule.graceMinutes ? lateBy : 0;
+  attendance.isLate = attendance.lateByMinutes > 0;
+
+  const earlyBy = lastOut && !openIn && !schedule.off ? minutesBetween(lastOut.time, schedule.end) : 0;
+  attendance.earlyByMinutes = earlyBy > 0 ? earlyBy : 0;
+  attendance.isEarlyDeparture = attendance.earlyByMinutes > 0;
+
+  if (attendance.leave) return attendance;
+
+  if (openIn) {
+    attendance.status = 'present';
+  } else if (attendance.workedHours >= schedule.fullDayHours) {
+    attendance.status = 'present';
+  } else if (attendance.workedHours >= schedule.halfDayHours) {
+    attendance.status = 'half-day';
+  } else {
+    attendance.status = 'absent';
+  }
+
+  return attendance;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  getRules,
+  timeOn,
+  scheduleFor,
+  evaluateAttendance
+};
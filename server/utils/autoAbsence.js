@@ -0,0 +1,138 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const { loadSchedules } = require('./shifts');
+const { dateKey, loadCalendar, datesBetween } = require('./workCalendar');
+
+// A day is only treated as unmarked once this many hours have passed since
+// the scheduled end of work, leaving time for late punches and manual entry
+const CUTOFF_HOURS = Number(process.env.AUTO_ABSENT_CUTOFF_HOURS) || 12;
+
+// How far back the scheduled run looks for unmarked days
+const LOOKBACK_DAYS = Number(process.env.AUTO_ABSENT_LOOKBACK_DAYS) || 7;
+
+// Default range for a run: the last LOOKBACK_DAYS days up to today
+const defaultRange = (now = new Date()) => {
+  const to = new Date(now);
+  to.setHours(0, 0, 0, 0);
+
+  const from = new Date(to);
+  from.setDate(from.getDate() - LOOKBACK_DAYS);
+
+  return { from, to };
+};
+
+// Find working days between two dates on which an active employee has no
+// attendance record, no approved leave and no holiday, and whose cutoff has
+// passed; unless dryRun is set, record each of them as absent.
+const markAbsences = async ({ from, to, dryRun = false, userId, now = new Date() }) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+
+  const employees = await Employee.find({ status: 'active' })
+    .select('name department joiningDate')
+    .populate('department', 'name');
+  const employeeIds = employees.map(employee => employee._id);
+
+  const [scheduleFor, calendar, records, leaves] = await Promise.all([
+    loadSchedules(start, end),
+    loadCalendar(start, end),
+    Attendance.find({ employee: { $in: employeeIds }, date: { $gte: start, $lte: end } }).select('employee date'),
+    Leave.find({
+      employee: { $in: employeeIds },
+      status: 'approved',
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    }).select('employee startDate endDate')
+  ]);
+
+  const marked = new Set(records.map(record => `${record.employee}:${dateKey(record.date)}`));
+
+  const leavesByEmployee = new Map();
+  for (const leave of leaves) {
+    const key = leave.employee.toString();
+    leavesByEmployee.set(key, [...(leavesByEmployee.get(key) || []), leave]);
+  }
+
+  const onLeave = (employee, date) => (leavesByEmployee.get(employee.id) || []).some(leave => {
+    const leaveStart = new Date(leave.startDate);
+    leaveStart.setHours(0, 0, 0, 0);
+    const leaveEnd = new Date(leave.endDate);
+    leaveEnd.setHours(23, 59, 59, 999);
+    return date >= leaveStart && date <= leaveEnd;
+  });
+
+  const joinedBy = (employee, date) => {
+    if (!employee.joiningDate) return true;
+    const joined = new Date(employee.joiningDate);
+    joined.setHours(0, 0, 0, 0);
+    return date >= joined;
+  };
+
+  const absences = [];
+
+  for (const date of datesBetween(start, end)) {
+    // Holidays apply to everyone, including rostered employees
+    if (calendar.holidays.has(dateKey(date))) continue;
+
+    for (const employee of employees) {
+      if (!joinedBy(employee, date)) continue;
+      if (marked.has(`${employee._id}:${dateKey(date)}`)) continue;
+
+      const schedule = scheduleFor(employee._id, date);
+      if (schedule.off) continue;
+
+      const cutoff = new Date(schedule.end.getTime() + CUTOFF_HOURS * 60 * 60 * 1000);
+      if (now < cutoff) continue;
+
+      if (onLeave(employee, date)) continue;
+
+      absences.push({
+        employee: { _id: employee._id, name: employee.name, department: employee.department },
+        date
+      });
+    }
+  }
+
+  let created = 0;
+
+  if (!dryRun && absences.length) {
+    // Upsert so a record written since the lookup above is left untouched
+    const result = await Attendance.bulkWrite(absences.map(absence => ({
+      updateOne: {
+        filter: { employee: absence.employee._id, date: absence.date },
+        update: {
+          $setOnInsert: {
+            employee: absence.employee._id,
+            date: absence.date,
+            status: 'absent',
+            autoMarked: true,
+            createdBy: userId
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    created = result.upsertedCount;
+  }
+
+  return {
+    from: start,
+    to: end,
+    dryRun,
+    found: absences.length,
+    created,
+    absences
+  };
+};
+
+module.exports = {
+  CUTOFF_HOURS,
+  LOOKBACK_DAYS,
+  defaultRange,
+  markAbsences
+};
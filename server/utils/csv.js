@@ -0,0 +1,54 @@
+// Minimal CSV parser: comma separated, double-quoted fields with "" escapes,
+// first line is the header. Returns one object per row keyed by header name.
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+};
+
+const parseCsv = (text) => {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  if (!lines.length) return [];
+
+  const headers = parseLine(lines[0]).map(header => header.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = parseLine(line);
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i] !== undefined ? values[i] : '';
+    });
+    return row;
+  });
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,161 @@
+const Employee = require('../models/Employee');
+const EmployeeEvent = require('../models/EmployeeEvent');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { revokeUserSessions } = require('./tokens');
+
+const DEFAULT_ONBOARDING_CHECKLIST = [
+  'Sign employment contract',
+  'Submit identity documents',
+  'Provide bank details',
+  'Issue equipment and accounts',
+  'Complete induction'
+];
+
+// Notice period used when a resignation doesn't give one
+const NOTICE_PERIOD_DAYS = Number(process.env.NOTICE_PERIOD_DAYS) || 30;
+
+// Event types that change the employee record when they take effect
+const SCHEDULED_TYPES = ['transfer', 'promotion', 'exit'];
+
+const getOnboardingChecklist = () => Setting.getValue('onboardingChecklist', DEFAULT_ONBOARDING_CHECKLIST);
+
+// Transfers and promotions apply from the start of their day; an exit once
+// the last working day is over
+const isDue = (event, now = new Date()) => {
+  const due = new Date(event.effectiveDate);
+  if (event.type === 'exit') {
+    due.setHours(23, 59, 59, 999);
+  }
+  return due <= now;
+};
+
+// Stop an exited employee's portal account from signing in
+const deactivateAccounts = async (employeeId) => {
+  const users = await User.find({ employee: employeeId, active: true });
+
+  for (const user of users) {
+    user.active = false;
+    user.deactivatedAt = Date.now();
+    await user.save();
+    await revokeUserSessions(user._id, 'deactivated');
+  }
+};
+
+// Apply a pending event to the employee record and complete it
+const applyEvent = async (event, employee) => {
+  if (event.type === 'transfer') {
+    event.fromDepartment = employee.department;
+    employee.department = event.toDepartment;
+  } else if (event.type === 'promotion') {
+    event.fromPosition = employee.position;
+    employee.position = event.toPosition;
+  } else if (event.type === 'exit') {
+    employee.status = 'inactive';
+    employee.exitDate = event.effectiveDate;
+    await deactivateAccounts(employee._id);
+  }
+
+  await employee.save();
+
+  event.status = 'completed';
+  event.completedAt = Date.now();
+  return event.save();
+};
+
+const applyIfDue = async (event, employee) => (isDue(event) ? applyEvent(event, employee) : event);
+
+// Apply every pending transfer, promotion and exit that has taken effect
+const applyDueEvents = async (now = new Date()) => {
+  const events = await EmployeeEvent.find({
+    type: { $in: SCHEDULED_TYPES },
+    status: 'pending',
+    effectiveDate: { $lte: now }
+  }).sort({ effectiveDate: 1, createdAt: 1 });
+
+  let applied = 0;
+
+  for (const event of events) {
+    if (!isDue(event, now)) continue;
+
+    const employee = await Employee.findById(event.employee);
+    if (!employee) continue;
+
+    // Employees who have left keep the department and designation they left
+    // with; transfers and promotions still scheduled for them are dropped
+    if (employee.status !== 'active' && event.type !== 'exit') {
+      event.status = 'cancelled';
+      event.cancelledAt = Date.now();
+      await event.save();
+      continue;
+    }
+
+    await applyEvent(event, employee);
+    applied += 1;
+  }
+
+  return applied;
+};
+
+// Open an onboarding checklist for a new employee
+const startOnboarding = async (employee, userId, items) => {
+  const checklist = items && items.length ? items : await getOnboardingChecklist();
+
+  return new EmployeeEvent({
+    employee: employee._id,
+    type: 'onboarding',
+    effectiveDate: employee.joiningDate,
+    checklist: checklist.map(item => ({ item })),
+    createdBy: userId
+  }).save();
+};
+
+// Record a resignation and schedule the exit at the end of the notice period
+const recordResignation = async (employee, { effectiveDate, noticePeriodDays, notes }, userId) => {
+  const notice = noticePeriodDays !== undefined && noticePeriodDays !== ''
+    ? Number(noticePeriodDays)
+    : NOTICE_PERIOD_DAYS;
+
+  const lastWorkingDay = new Date(effectiveDate);
+  lastWorkingDay.setHours(0, 0, 0, 0);
+  lastWorkingDay.setDate(lastWorkingDay.getDate() + notice);
+
+  const resignation = new EmployeeEvent({
+    employee: employee._id,
+    type: 'resignation',
+    effectiveDate,
+    status: 'completed',
+    noticePeriodDays: notice,
+    lastWorkingDay,
+    notes,
+    createdBy: userId,
+    completedAt: Date.now()
+  });
+
+  const exit = new EmployeeEvent({
+    employee: employee._id,
+    type: 'exit',
+    effectiveDate: lastWorkingDay,
+    exitReason: 'resignation',
+    relatedEvent: resignation._id,
+    createdBy: userId
+  });
+
+  resignation.relatedEvent = exit._id;
+
+  await resignation.save();
+  await applyIfDue(await exit.save(), employee);
+
+  return resignation;
+};
+
+module.exports = {
+  DEFAULT_ONBOARDING_CHECKLIST,
+  NOTICE_PERIOD_DAYS,
+  isDue,
+  applyEvent,
+  applyIfDue,
+  applyDueEvents,
+  startOnboarding,
+  recordResignation
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Field-level encryption for sensitive personal data (AES-256-GCM).
+// DATA_ENCRYPTION_KEY may be any secret string; the cipher key is derived from
+// it, so changing it makes existing values unreadable.
+//
+// Encrypted values are stored as "enc:v1:<iv>:<auth tag>:<ciphertext>" in
+// base64, which lets setters recognise values that are already encrypted.
+
+const PREFIX = 'enc:v1:';
+
+let key = null;
+
+const getKey = () => {
+  if (!key) {
+    if (!process.env.DATA_ENCRYPTION_KEY) {
+      throw new Error('DATA_ENCRYPTION_KEY is not set');
+    }
+    key = crypto.createHash('sha256').update(process.env.DATA_ENCRYPTION_KEY).digest();
+  }
+  return key;
+};
+
+// Fail at startup rather than on the first read or write of a sensitive field
+const checkKey = () => {
+  getKey();
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const encrypt = (value) => {
+  if (value === undefined || value === null || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Shown in place of a value that cannot be decrypted, e.g. after a key change
+const UNREADABLE = '********';
+
+// Hide all but the last few characters, e.g. "********1234"
+const mask = (value, visible = 4) => {
+  if (value === undefined || value === null || value === '') return value;
+
+  let text;
+  try {
+    text = String(decrypt(value));
+  } catch (err) {
+    console.error(`Could not decrypt a sensitive field: ${err.message}`);
+    return UNREADABLE;
+  }
+  if (text.length <= visible) return '*'.repeat(text.length);
+
+  return '*'.repeat(text.length - visible) + text.slice(-visible);
+};
+
+// A masked value sent back unchanged by a client, which must not overwrite
+// the stored value
+const isMasked = (value) => typeof value === 'string' && /^\*+[^*]{0,4}$/.test(value);
+
+module.exports = {
+  checkKey,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  mask,
+  isMasked
+};
@@ -0,0 +1,81 @@
+// Leaves longer than this many days also need HR sign-off after the manager
+const HR_APPROVAL_DAYS = Number(process.env.LEAVE_HR_APPROVAL_DAYS) || 3;
+
+// Build the approval chain for a new leave: the reporting manager first,
+// then HR for long leaves or when there is no manager to ask
+const buildApprovalChain = (employee, days) => {
+  const approvals = [];
+
+  if (employee.manager) {
+    approvals.push({ level: 'manager' });
+  }
+
+  if (!employee.manager || days > HR_APPROVAL_DAYS) {
+    approvals.push({ level: 'hr' });
+  }
+
+  return approvals;
+};
+
+// The step awaiting action; leaves created before the workflow get an HR step
+const currentStep = (leave) => {
+  if (leave.status !== 'pending') return null;
+
+  if (!leave.approvals.length) {
+    leave.approvals.push({ level: 'hr' });
+    leave.currentLevel = 'hr';
+  }
+
+  return leave.approvals.find(step => step.status === 'pending') || null;
+};
+
+// Whether a leave's employee is the user's own linked Employee record
+const isApplicant = (user, employee) =>
+  !!user.employee && String(employee._id) === String(user.employee);
+
+// Admins may act on any step, HR on HR steps, managers on their reports' steps,
+// but nobody on their own leave.
+// Managers are identified through the Employee record linked to their account;
+// HR accounts with no linked record fall back to their role and may act on
+// manager steps too, so leaves of such managers' reports are not stuck.
+const canActOnStep = (user, step, employee) => {
+  if (isApplicant(user, employee)) return false;
+  if (user.role === 'admin') return true;
+  if (step.level === 'hr') return user.role === 'hr';
+  if (!user.employee) return user.role === 'hr';
+  return !!employee.manager && employee.manager.toString() === user.employee.toString();
+};
+
+// Record a decision on the current step and advance or close the chain
+const decideStep = (leave, step, userId, decision, comment) => {
+  step.status = decision;
+  step.approver = userId;
+  step.comment = comment;
+  step.actedAt = Date.now();
+
+  const next = leave.approvals.find(s => s.status === 'pending');
+
+  if (decision === 'rejected') {
+    leave.approvals.forEach(s => {
+      if (s.status === 'pending') s.status = 'skipped';
+    });
+    leave.status = 'rejected';
+    leave.currentLevel = undefined;
+  } else if (next) {
+    leave.currentLevel = next.level;
+  } else {
+    leave.status = 'approved';
+    leave.currentLevel = undefined;
+  }
+
+  leave.updatedBy = userId;
+  leave.updatedAt = Date.now();
+};
+
+module.exports = {
+  buildApprovalChain,
+  currentStep,
+  isApplicant,
+  canActOnStep,
+  decideStep
+};
@@ -0,0 +1,176 @@
+const Leave = require('../models/Leave');
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveBalance = require('../models/LeaveBalance');
+const { dayFraction, leaveDaysByYear } = require('./leaveDays');
+const { loadCalendar, workingDates } = require('./workCalendar');
+
+const round = (days) => Math.round(days * 100) / 100;
+
+// Most specific policy wins: department + position, position, department, default
+const resolvePolicy = async (employee) => {
+  const policies = await LeavePolicy.find({
+    department: { $in: [employee.department, null] },
+    position: { $in: [employee.position, null] }
+  });
+
+  const specificity = (policy) => (policy.position ? 2 : 0) + (policy.department ? 1 : 0);
+  policies.sort((a, b) => specificity(b) - specificity(a));
+
+  return policies[0] || null;
+};
+
+const findEntitlement = (policy, type) =>
+  policy ? policy.entitlements.find(entitlement => entitlement.type === type) : null;
+
+// Days earned in a year up to asOf, prorated from the joining month
+const accruedDays = (entitlement, year, joiningDate, asOf = new Date()) => {
+  const joined = new Date(joiningDate);
+  if (joined.getFullYear() > year) return 0;
+
+  const firstMonth = joined.getFullYear() === year ? joined.getMonth() : 0;
+
+  if (entitlement.accrual === 'yearly') {
+    return round(entitlement.yearlyDays * (12 - firstMonth) / 12);
+  }
+
+  if (year > asOf.getFullYear()) return 0;
+  const lastMonth = year < asOf.getFullYear() ? 11 : asOf.getMonth();
+  const months = Math.max(0, lastMonth - firstMonth + 1);
+
+  return round(entitlement.yearlyDays * months / 12);
+};
+
+// Fetch the year's ledger, opening it with last year's carry-forward if new
+const ensureBalance = async (employee, type, year, entitlement) => {
+  const existing = await LeaveBalance.findOne({ employee: employee._id, year, type });
+  if (existing) return existing;
+
+  let carriedForward = 0;
+  if (entitlement.carryForwardMax > 0) {
+    const previous = await LeaveBalance.findOne({ employee: employee._id, year: year - 1, type });
+    const leftover = accruedDays(entitlement, year - 1, employee.joiningDate) +
+      (previous ? previous.carriedForward - previous.used : 0);
+    carriedForward = round(Math.min(Math.max(leftover, 0), entitlement.carryForwardMax));
+  }
+
+  return LeaveBalance.findOneAndUpdate(
+    { employee: employee._id, year, type },
+    { $setOnInsert: { carriedForward } },
+    { upsert: true, new: true }
+  );
+};
+
+// Days of pending leave of a type falling inside a year
+const pendingDays = async (employeeId, type, year) => {
+  const yearStart = new Date(year, 0, 1);
+  const yearEnd = new Date(year, 11, 31);
+
+  const leaves = await Leave.find({
+    employee: employeeId,
+    type,
+    status: 'pending',
+    startDate: { $lte: yearEnd },
+    endDate: { $gte: yearStart }
+  }).select('startDate endDate duration hours');
+
+  const calendar = await loadCalendar(yearStart, yearEnd);
+
+  return leaves.reduce((total, leave) => {
+    const start = Math.max(leave.startDate, yearStart);
+    const end = Math.min(leave.endDate, yearEnd);
+    return round(total + workingDates(start, end, calendar).length * dayFraction(leave));
+  }, 0);
+};
+
+const summarize = async (employee, entitlement, year) => {
+  const balance = await ensureBalance(employee, entitlement.type, year, entitlement);
+  const accrued = accruedDays(entitlement, year, employee.joiningDate);
+  const pending = await pendingDays(employee._id, entitlement.type, year);
+
+  return {
+    type: entitlement.type,
+    yearlyDays: entitlement.yearlyDays,
+    accrual: entitlement.accrual,
+    accrued,
+    carriedForward: balance.carriedForward,
+    used: balance.used,
+    pending,
+    available: round(accrued + balance.carriedForward - balance.used)
+  };
+};
+
+// Balance of every capped leave type for an employee in a year
+const getBalances = async (employee, year) => {
+  const policy = await resolvePolicy(employee);
+  if (!policy) {
+    return { year, policy: null, balances: [] };
+  }
+
+  const balances = [];
+  for (const entitlement of policy.entitlements) {
+    balances.push(await summarize(employee, entitlement, year));
+  }
+
+  return { year, policy: { _id: policy._id, name: policy.name }, balances };
+};
+
+// Returns an error message if the request exceeds what is left, else null.
+// Pending requests count against the balance so it can't be double-booked.
+const checkBalance = async (employee, request) => {
+  const { type } = request;
+  const entitlement = findEntitlement(await resolvePolicy(employee), type);
+  if (!entitlement) return null;
+
+  const requested = await leaveDaysByYear(request);
+  for (const year of Object.keys(requested)) {
+    const summary = await summarize(employee, entitlement, Number(year));
+    const remaining = round(summary.available - summary.pending);
+
+    if (requested[year] > remaining) {
+      return `Insufficient ${type} leave balance for ${year}: ${remaining} day(s) available, ${requested[year]} requested`;
+    }
+  }
+
+  return null;
+};
+
+// Take an approved leave's days off the balance, recording what was deducted
+const deductLeave = async (leave, employee) => {
+  const entitlement = findEntitlement(await resolvePolicy(employee), leave.type);
+  if (!entitlement) return;
+
+  const requested = await leaveDaysByYear(leave);
+  leave.balanceDeductions = [];
+
+  for (const year of Object.keys(requested)) {
+    await ensureBalance(employee, leave.type, Number(year), entitlement);
+    await LeaveBalance.updateOne(
+      { employee: employee._id, year: Number(year), type: leave.type },
+      { $inc: { used: requested[year] } }
+    );
+    leave.balanceDeductions.push({ year: Number(year), days: requested[year] });
+  }
+
+  await leave.save();
+};
+
+// Give back whatever an approved leave took off the balance
+const restoreLeave = async (leave) => {
+  for (const deduction of leave.balanceDeductions) {
+    await LeaveBalance.updateOne(
+      { employee: leave.employee, year: deduction.year, type: leave.type },
+      { $inc: { used: -deduction.days } }
+    );
+  }
+
+  leave.balanceDeductions = [];
+};
+
+module.exports = {
+  resolvePolicy,
+  accruedDays,
+  getBalances,
+  checkBalance,
+  deductLeave,
+  restoreLeave
+};
@@ -0,0 +1,35 @@
+const { loadCalendar, workingDates } = require('./workCalendar');
+
+// Length of a normal working day, used to turn hourly leave into days
+const WORKDAY_HOURS = Number(process.env.WORKDAY_HOURS) || 8;
+
+const round = (days) => Math.round(days * 100) / 100;
+
+// Share of a day each covered working day counts for: 1, 0.5, or hours / workday
+const dayFraction = (leave) => {
+  if (leave.duration === 'half-day') return 0.5;
+  if (leave.duration === 'hours') return round(Number(leave.hours) / WORKDAY_HOURS);
+  return 1;
+};
+
+// Number of working days a leave covers; weekly offs and holidays don't count
+const leaveDays = async (leave) => {
+  const calendar = await loadCalendar(leave.startDate, leave.endDate);
+  return round(workingDates(leave.startDate, leave.endDate, calendar).length * dayFraction(leave));
+};
+
+// Split a leave's working days by calendar year, e.g. { 2025: 2, 2026: 3.5 }
+const leaveDaysByYear = async (leave) => {
+  const calendar = await loadCalendar(leave.startDate, leave.endDate);
+  const fraction = dayFraction(leave);
+  const byYear = {};
+
+  for (const date of workingDates(leave.startDate, leave.endDate, calendar)) {
+    const year = date.getFullYear();
+    byYear[year] = round((byYear[year] || 0) + fraction);
+  }
+
+  return byYear;
+};
+
+module.exports = { WORKDAY_HOURS, dayFraction, leaveDays, leaveDaysByYear };
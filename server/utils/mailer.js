@@ -0,0 +1,60 @@
+// Pluggable mail transport.
+// Outside production, defaults to printing messages to the console so
+// mail-driven flows can be exercised locally. In production nothing is sent
+// (and only the subject is logged, as bodies carry reset and invite tokens)
+// until MAIL_TRANSPORT=smtp is set with SMTP_HOST, SMTP_PORT, SMTP_USER and
+// SMTP_PASS. setTransport() accepts any object exposing sendMail(message),
+// e.g. a stub in tests.
+
+const consoleTransport = {
+  sendMail: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return message;
+  }
+};
+
+const disabledTransport = {
+  sendMail: async (message) => {
+    console.warn(`[mail] Not sent, no mail transport configured | Subject: ${message.subject}`);
+    return message;
+  }
+};
+
+let transport = null;
+
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    const nodemailer = require('nodemailer');
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  return process.env.NODE_ENV === 'production' ? disabledTransport : consoleTransport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = ({ to, subject, text, html, attachments }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || 'HRMS <no-reply@hrms.local>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'HRMS';
+const BRAND_COLOR = process.env.COMPANY_BRAND_COLOR || '#1f4e79';
+
+// Generated letters live alongside other uploads, one folder per candidate
+const OFFER_DIR = 'uploads/offers';
+
+// Placeholders a template body or subject may use, e.g. {{candidateName}}
+const PLACEHOLDERS = [
+  'candidateName',
+  'position',
+  'department',
+  'salary',
+  'joiningDate',
+  'expiresOn',
+  'companyName',
+  'date'
+];
+
+const money = (amount) => Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const longDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// Values for each placeholder from the candidate and the offered terms.
+// department and position are the populated documents.
+const letterValues = (candidate, terms) => ({
+  candidateName: candidate.name,
+  position: terms.position.title,
+  department: terms.department.name,
+  salary: money(terms.salary),
+  joiningDate: longDate(terms.joiningDate),
+  expiresOn: longDate(terms.expiresOn),
+  companyName: COMPANY_NAME,
+  date: longDate(new Date())
+});
+
+// Replace {{name}} placeholders; unknown ones are left as written
+const fillTemplate = (text, values) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+// Relative path of an offer letter PDF, in the form stored for other uploads
+const offerFile = (offer, version) => `${OFFER_DIR}/${offer.candidate}/offer-v${version.version}.pdf`;
+
+const absolute = (file) => path.join(__dirname, '..', file);
+
+const ensureDir = (file) => {
+  const dir = path.dirname(absolute(file));
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+};
+
+// Write the letter of one offer version to disk and resolve with its
+// relative path
+const renderOfferLetter = (offer, version) => new Promise((resolve, reject) => {
+  const file = offerFile(offer, version);
+  ensureDir(file);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const stream = fs.createWriteStream(absolute(file));
+  stream.on('finish', () => resolve(file));
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  const left = 50;
+  const width = doc.page.width - 100;
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND_COLOR);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20).text(COMPANY_NAME, left, 25);
+  doc.font('Helvetica').fontSize(12).text(version.subject || 'Offer of employment', left, 50);
+
+  if (version.version > 1) {
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text(`Revision ${version.version}`, left, 35, { width, align: 'right' });
+  }
+
+  doc.fillColor('#000000').font('Helvetica').fontSize(11)
+    .text(version.body, left, 110, { width, align: 'left', lineGap: 3 });
+
+  doc.moveDown(3);
+  doc.fillColor('#888888').fontSize(8)
+    .text(`This offer is valid until ${longDate(version.expiresOn)}.`, { width });
+
+  doc.end();
+});
+
+module.exports = {
+  PLACEHOLDERS,
+  letterValues,
+  fillTemplate,
+  offerFile,
+  renderOfferLetter
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+const Offer = require('../models/Offer');
+const Department = require('../models/Department');
+const Designation = require('../models/Designation');
+const { sendMail } = require('./mailer');
+const { letterValues, fillTemplate, renderOfferLetter } = require('./offerLetter');
+
+// Has the offer's latest version run past the end of its expiry day?
+const isExpired = (offer, now = new Date()) => {
+  const end = new Date(offer.current.expiresOn);
+  end.setHours(23, 59, 59, 999);
+  return now > end;
+};
+
+// Issue a new version of an offer from a template and terms
+// ({ department, position, salary, joiningDate, expiresOn }), render its
+// letter and mail it to the candidate. The offer goes back to sent. It is
+// only saved once the mail has gone, so a failed send can simply be retried.
+const issueOffer = async (offer, candidate, template, terms, userId) => {
+  const [department, position] = await Promise.all([
+    Department.findById(terms.department),
+    Designation.findById(terms.position)
+  ]);
+
+  const values = letterValues(candidate, { ...terms, department, position });
+  const version = {
+    version: offer.versions.length + 1,
+    template: template._id,
+    department: department._id,
+    position: position._id,
+    salary: terms.salary,
+    joiningDate: terms.joiningDate,
+    expiresOn: terms.expiresOn,
+    subject: fillTemplate(template.subject, values),
+    body: fillTemplate(template.body, values),
+    createdBy: userId
+  };
+
+  version.file = await renderOfferLetter(offer, version);
+  offer.versions.push(version);
+  offer.status = 'sent';
+  offer.sentAt = Date.now();
+  offer.respondedAt = undefined;
+  offer.responseNote = undefined;
+  offer.recordedBy = undefined;
+  offer.updatedAt = Date.now();
+
+  await sendMail({
+    to: candidate.email,
+    subject: version.subject,
+    text: version.body,
+    attachments: [{ filename: path.basename(version.file), path: path.join(__dirname, '..', version.file) }]
+  });
+
+  await offer.save();
+  return offer;
+};
+
+// Mark sent offers past their expiry date as expired; returns how many
+const expireOffers = async (now = new Date()) => {
+  const offers = await Offer.find({ status: 'sent' });
+  let expired = 0;
+
+  for (const offer of offers) {
+    if (!isExpired(offer, now)) continue;
+
+    offer.status = 'expired';
+    offer.updatedAt = Date.now();
+    await offer.save();
+    expired++;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  isExpired,
+  issueOffer,
+  expireOffers
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const JobOpening = require('../models/JobOpening');
+
+// Funnel steps in order; a candidate counts towards every step it reached
+const FUNNEL_STEPS = ['applied', 'interviewing', 'selected', 'hired'];
+
+const reached = (step) => ({
+  $cond: [
+    { $gt: [{ $size: { $setIntersection: ['$statuses', FUNNEL_STEPS.slice(FUNNEL_STEPS.indexOf(step))] } }, 0] },
+    1,
+    0
+  ]
+});
+
+const emptyFunnel = () => ({ applied: 0, interviewing: 0, selected: 0, hired: 0, rejected: 0 });
+
+// Funnel counts per opening id. Steps are cumulative (a hired candidate was
+// also applied, interviewing and selected); rejected is counted separately.
+const funnelCounts = async (openingIds) => {
+  const rows = await Candidate.aggregate([
+    { $match: { opening: { $in: openingIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $project: {
+        opening: 1,
+        status: 1,
+        statuses: {
+          $setUnion: [['applied', '$status'], { $ifNull: ['$stageHistory.status', []] }]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$opening',
+        applied: { $sum: reached('applied') },
+        interviewing: { $sum: reached('interviewing') },
+        selected: { $sum: reached('selected') },
+        hired: { $sum: reached('hired') },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const byOpening = new Map(rows.map(({ _id, ...counts }) => [String(_id), counts]));
+  return (openingId) => byOpening.get(String(openingId)) || emptyFunnel();
+};
+
+// Close the opening once hires through it fill its headcount
+const closeIfFilled = async (openingId) => {
+  const opening = await JobOpening.findById(openingId);
+  if (!opening || opening.status === 'closed') return opening;
+
+  const hired = await Candidate.countDocuments({ opening: opening._id, status: 'hired' });
+  if (hired >= opening.headcount) {
+    opening.status = 'closed';
+    opening.closedAt = Date.now();
+    opening.updatedAt = Date.now();
+    await opening.save();
+  }
+
+  return opening;
+};
+
+module.exports = {
+  FUNNEL_STEPS,
+  funnelCounts,
+  closeIfFilled
+};
@@ -0,0 +1,179 @@
+const Department = require('../models/Department');
+const Designation = require('../models/Designation');
+const Employee = require('../models/Employee');
+const EmployeeEvent = require('../models/EmployeeEvent');
+const JobOpening = require('../models/JobOpening');
+const LeavePolicy = require('../models/LeavePolicy');
+const Offer = require('../models/Offer');
+const PayrollComponent = require('../models/PayrollComponent');
+const Pipeline = require('../models/Pipeline');
+
+// Department name and designation title for an employee's refs
+const ORG_FIELDS = [
+  { path: 'department', select: 'name' },
+  { path: 'position', select: 'title level' }
+];
+
+// The employee summary shown alongside attendance, leave and other records
+const EMPLOYEE_SUMMARY = {
+  path: 'employee',
+  select: 'name position department',
+  populate: ORG_FIELDS
+};
+
+// Case-insensitive exact match, using the same collation as the unique index
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const findDepartmentByName = (name) =>
+  Department.findOne({ name: String(name).trim() }).collation(CASE_INSENSITIVE);
+
+const findDesignationByTitle = (title) =>
+  Designation.findOne({ title: String(title).trim() }).collation(CASE_INSENSITIVE);
+
+// Check that the department and designation ids given exist and are active.
+// Returns an error message, or null when they are valid.
+const checkOrgRefs = async ({ department, position }) => {
+  if (department) {
+    const found = await Department.findById(department).catch(() => null);
+    if (!found || !found.active) return 'Department not found';
+  }
+
+  if (position) {
+    const found = await Designation.findById(position).catch(() => null);
+    if (!found || !found.active) return 'Designation not found';
+  }
+
+  return null;
+};
+
+// Records other than employees and sub-departments that refer to a
+// department or designation, by the fields that hold the ref
+const ORG_REFERENCES = {
+  department: [
+    { Model: EmployeeEvent, fields: ['fromDepartment', 'toDepartment'], label: 'transfer history' },
+    { Model: LeavePolicy, fields: ['department'], label: 'leave policies' },
+    { Model: PayrollComponent, fields: ['department'], label: 'payroll components' },
+    { Model: JobOpening, fields: ['department'], label: 'job openings' },
+    { Model: Offer, fields: ['versions.department'], label: 'offers' }
+  ],
+  designation: [
+    { Model: EmployeeEvent, fields: ['fromPosition', 'toPosition'], label: 'promotion history' },
+    { Model: LeavePolicy, fields: ['position'], label: 'leave policies' },
+    { Model: PayrollComponent, fields: ['position'], label: 'payroll components' },
+    { Model: JobOpening, fields: ['position'], label: 'job openings' },
+    { Model: Pipeline, fields: ['position'], label: 'recruitment pipelines' },
+    { Model: Offer, fields: ['versions.position'], label: 'offers' }
+  ]
+};
+
+// Labels of the records that still refer to a department or designation;
+// kind is 'department' or 'designation'
+const findOrgReferences = async (kind, id) => {
+  const used = [];
+  for (const { Model, fields, label } of ORG_REFERENCES[kind]) {
+    if (await Model.exists({ $or: fields.map(field => ({ [field]: id })) })) {
+      used.push(label);
+    }
+  }
+  return used;
+};
+
+// Does following field up from startId lead back to id?
+const leadsBackTo = async (Model, field, id, startId) => {
+  let current = startId ? String(startId) : null;
+  const seen = new Set();
+
+  while (current && !seen.has(current)) {
+    if (current === String(id)) return true;
+    seen.add(current);
+
+    const record = await Model.findById(current).select(field);
+    current = record && record[field] ? String(record[field]) : null;
+  }
+
+  return false;
+};
+
+// Would making parentId the parent of departmentId create a cycle?
+const createsCycle = (departmentId, parentId) => leadsBackTo(Department, 'parent', departmentId, parentId);
+
+// Would making managerId the manager of employeeId create a reporting loop?
+const createsReportingCycle = (employeeId, managerId) => leadsBackTo(Employee, 'manager', employeeId, managerId);
+
+// Nest flat records into trees by a parent field; records whose parent is
+// missing from the list become roots. A loop in the data (A under B, B under
+// A) is broken at the last link reached, so no record goes missing.
+const nest = (records, parentOf, childKey) => {
+  const nodes = new Map(records.map(record => [String(record._id), { ...record, [childKey]: [] }]));
+  const attachedTo = new Map();
+  const roots = [];
+
+  const isAncestor = (candidate, node) => {
+    for (let current = candidate; current; current = attachedTo.get(current)) {
+      if (current === node) return true;
+    }
+    return false;
+  };
+
+  for (const [id, node] of nodes) {
+    const parentId = parentOf(node) && String(parentOf(node));
+    const parent = parentId && nodes.get(parentId);
+    if (parent && !isAncestor(parentId, id)) {
+      attachedTo.set(id, parentId);
+      parent[childKey].push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// Reporting tree of active employees by manager. With rootId, only that
+// employee and everyone below them.
+const buildOrgChart = async (rootId) => {
+  const employees = await Employee.find({ status: 'active' })
+    .select('name email manager position department')
+    .populate(ORG_FIELDS)
+    .sort({ name: 1 })
+    .lean();
+
+  const roots = nest(employees, employee => employee.manager, 'reports');
+
+  if (!rootId) return roots;
+
+  const find = (nodes) => {
+    for (const node of nodes) {
+      if (String(node._id) === String(rootId)) return node;
+      const found = find(node.reports);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const root = find(roots);
+  return root ? [root] : [];
+};
+
+// Department hierarchy with each department's head
+const buildDepartmentTree = async () => {
+  const departments = await Department.find({ active: true })
+    .populate('head', 'name email')
+    .sort({ name: 1 })
+    .lean();
+
+  return nest(departments, department => department.parent, 'children');
+};
+
+module.exports = {
+  ORG_FIELDS,
+  EMPLOYEE_SUMMARY,
+  findDepartmentByName,
+  findDesignationByTitle,
+  checkOrgRefs,
+  findOrgReferences,
+  createsCycle,
+  createsReportingCycle,
+  buildOrgChart,
+  buildDepartmentTree
+};
@@ -0,0 +1,200 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const PayrollComponent = require('../models/PayrollComponent');
+const Payslip = require('../models/Payslip');
+const { dayFraction } = require('./leaveDays');
+const { loadSalaries } = require('./salary');
+const { ORG_FIELDS } = require('./orgStructure');
+const { loadSchedules } = require('./shifts');
+const { dateKey, datesBetween } = require('./workCalendar');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// First and last moment of a YYYY-MM month, in local time
+const monthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const start = new Date(year, monthNumber - 1, 1);
+  const end = new Date(year, monthNumber, 0, 23, 59, 59, 999);
+  return { start, end };
+};
+
+// Id of a ref whether or not it has been populated
+const refId = (ref) => String(ref && ref._id ? ref._id : ref);
+
+const appliesTo = (component, employee) =>
+  (!component.department || refId(component.department) === refId(employee.department)) &&
+  (!component.position || refId(component.position) === refId(employee.position));
+
+const componentAmount = (component, base) =>
+  round(component.calculation === 'percentage' ? base * component.amount / 100 : component.amount);
+
+// Build one employee's payslip for a month.
+//   - Basic salary is the salary in effect on each scheduled day, averaged
+//     over the month, so a mid-month revision is paid pro rata. Each unpaid
+//     day costs basic / scheduled days as loss of pay.
+//   - Unpaid days are scheduled days before joining or after exit, absences
+//     (half a day for a half-day) not covered by leave, and approved unpaid
+//     leave on scheduled days.
+//   - Earning components are a fixed amount or a share of basic; deduction
+//     components may instead be a share of gross pay after loss of pay.
+const buildPayslip = (employee, period) => {
+  const { scheduleFor, salaryFor, days, components, attendance, unpaidLeaves } = period;
+
+  const joined = new Date(employee.joiningDate);
+  joined.setHours(0, 0, 0, 0);
+
+  const scheduledDays = days.filter(date => !scheduleFor(employee._id, date).off);
+  const scheduledKeys = new Set(scheduledDays.map(dateKey));
+  const exited = employee.exitDate ? new Date(employee.exitDate) : null;
+  const employed = (date) => date >= joined && (!exited || date <= exited);
+  const notEmployed = scheduledDays.filter(date => !employed(date)).length;
+
+  const absent = attendance
+    .filter(record => scheduledKeys.has(dateKey(record.date)) && employed(record.date))
+    .reduce((total, record) => total + (record.status === 'half-day' ? 0.5 : 1), 0);
+
+  const unpaidLeave = unpaidLeaves.reduce((total, leave) => {
+    const from = dateKey(leave.startDate);
+    const to = dateKey(leave.endDate);
+    const leaveDays = scheduledDays.filter(date => employed(date) && dateKey(date) >= from && dateKey(date) <= to);
+    return total + leaveDays.length * dayFraction(leave);
+  }, 0);
+
+  const workingDayCount = scheduledDays.length;
+  const unpaidTotal = round(Math.min(notEmployed + absent + unpaidLeave, workingDayCount));
+  const basicSalary = workingDayCount
+    ? round(scheduledDays.reduce((total, date) => total + salaryFor(employee, date), 0) / workingDayCount)
+    : salaryFor(employee, days[days.length - 1]);
+  const dailyRate = workingDayCount ? basicSalary / workingDayCount : 0;
+  const lossOfPay = round(dailyRate * unpaidTotal);
+
+  const applicable = components.filter(component => appliesTo(component, employee));
+
+  const earnings = [
+    { code: 'BASIC', name: 'Basic salary', amount: round(basicSalary) },
+    ...applicable
+      .filter(component => component.kind === 'earning')
+      .map(component => ({
+        code: component.code,
+        name: component.name,
+        amount: componentAmount(component, basicSalary)
+      }))
+  ];
+  const grossPay = round(earnings.reduce((total, line) => total + line.amount, 0));
+  const earnedGross = grossPay - lossOfPay;
+
+  const deductions = [
+    ...(lossOfPay > 0 ? [{ code: 'LOP', name: 'Loss of pay', amount: lossOfPay }] : []),
+    ...applicable
+      .filter(component => component.kind === 'deduction')
+      .map(component => ({
+        code: component.code,
+        name: component.name,
+        amount: componentAmount(component, component.base === 'gross' ? earnedGross : basicSalary)
+      }))
+  ];
+  const totalDeductions = round(deductions.reduce((total, line) => total + line.amount, 0));
+
+  return {
+    employee: employee._id,
+    employeeName: employee.name,
+    department: employee.department && employee.department.name,
+    position: employee.position && employee.position.title,
+    basicSalary,
+    workingDays: workingDayCount,
+    unpaidDays: {
+      notEmployed,
+      absent,
+      unpaidLeave: round(unpaidLeave),
+      total: unpaidTotal
+    },
+    payableDays: round(workingDayCount - unpaidTotal),
+    earnings,
+    deductions,
+    grossPay,
+    totalDeductions,
+    netPay: round(grossPay - totalDeductions)
+  };
+};
+
+// (Re)calculate the payslip of every employee on the books during the month,
+// including those who left in it, replacing any earlier calculation
+const calculateRun = async (run) => {
+  const { start, end } = monthRange(run.month);
+
+  const employees = await Employee.find({
+    joiningDate: { $lte: end },
+    $or: [{ status: 'active' }, { exitDate: { $gte: start } }]
+  }).populate(ORG_FIELDS);
+  const employeeIds = employees.map(employee => employee._id);
+
+  const [scheduleFor, salaryFor, components, attendance, unpaidLeaves] = await Promise.all([
+    loadSchedules(start, end),
+    loadSalaries(employeeIds),
+    PayrollComponent.find({ active: true }).sort({ kind: 1, code: 1 }),
+    // Days set by an approved leave are paid or unpaid according to the leave
+    Attendance.find({
+      employee: { $in: employeeIds },
+      date: { $gte: start, $lte: end },
+      status: { $in: ['absent', 'half-day'] },
+      leave: null
+    }).select('employee date status'),
+    Leave.find({
+      employee: { $in: employeeIds },
+      type: 'unpaid',
+      status: 'approved',
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    }).select('employee startDate endDate duration hours')
+  ]);
+
+  const days = datesBetween(start, end);
+  const groupByEmployee = (records) => {
+    const groups = new Map();
+    for (const record of records) {
+      const key = record.employee.toString();
+      groups.set(key, [...(groups.get(key) || []), record]);
+    }
+    return (employee) => groups.get(employee.id) || [];
+  };
+  const attendanceOf = groupByEmployee(attendance);
+  const unpaidLeavesOf = groupByEmployee(unpaidLeaves);
+
+  const payslips = employees.map(employee => ({
+    run: run._id,
+    month: run.month,
+    ...buildPayslip(employee, {
+      scheduleFor,
+      salaryFor,
+      days,
+      components,
+      attendance: attendanceOf(employee),
+      unpaidLeaves: unpaidLeavesOf(employee)
+    })
+  }));
+
+  await Payslip.deleteMany({ run: run._id });
+  await Payslip.insertMany(payslips);
+
+  const sum = (field) => round(payslips.reduce((total, payslip) => total + payslip[field], 0));
+
+  run.periodStart = start;
+  run.periodEnd = end;
+  run.totals = {
+    employees: payslips.length,
+    grossPay: sum('grossPay'),
+    totalDeductions: sum('totalDeductions'),
+    netPay: sum('netPay')
+  };
+  run.calculatedAt = Date.now();
+  await run.save();
+
+  return run;
+};
+
+module.exports = {
+  monthRange,
+  buildPayslip,
+  calculateRun
+};
@@ -0,0 +1,151 @@
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'HRMS';
+const BRAND_COLOR = process.env.COMPANY_BRAND_COLOR || '#1f4e79';
+
+const money = (amount) => Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const monthLabel = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+};
+
+// File name a payslip PDF is downloaded as
+const payslipFile = (payslip) => `payslip-${payslip.month}-${payslip.employee}.pdf`;
+
+// Two-column table of label/amount rows with a bold total line
+const drawLines = (doc, title, lines, total, x, y, width) => {
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text(title, x, y);
+  let rowY = y + 18;
+
+  doc.fillColor('#000000').font('Helvetica').fontSize(10);
+  for (const line of lines) {
+    doc.text(line.name, x, rowY, { width: width - 90 });
+    doc.text(money(line.amount), x + width - 90, rowY, { width: 90, align: 'right' });
+    rowY += 16;
+  }
+
+  doc.moveTo(x, rowY + 2).lineTo(x + width, rowY + 2).strokeColor('#cccccc').stroke();
+  doc.font('Helvetica-Bold').text(`Total ${title.toLowerCase()}`, x, rowY + 8, { width: width - 90 });
+  doc.text(money(total), x + width - 90, rowY + 8, { width: 90, align: 'right' });
+
+  return rowY + 24;
+};
+
+// Draw a payslip into a new PDF document, ended and ready to be read.
+// Payslips of a run that is still a draft carry a DRAFT mark.
+const payslipDocument = (payslip, run) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  const left = 50;
+  const width = doc.page.width - 100;
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND_COLOR);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20).text(COMPANY_NAME, left, 25);
+  doc.font('Helvetica').fontSize(12).text(`Payslip for ${monthLabel(payslip.month)}`, left, 50);
+
+  if (run.status !== 'locked') {
+    doc.fillColor('#c00000').font('Helvetica-Bold').fontSize(12)
+      .text('DRAFT', left, 35, { width, align: 'right' });
+  }
+
+  // Employee details and attendance summary side by side
+  const detail = (label, value, x, y) => {
+    doc.fillColor('#555555').font('Helvetica').fontSize(9).text(label, x, y);
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10).text(value || '-', x, y + 11);
+  };
+
+  const half = width / 2;
+  detail('Employee', payslip.employeeName, left, 100);
+  detail('Employee ID', String(payslip.employee), left, 130);
+  detail('Department', payslip.department, left, 160);
+  detail('Position', payslip.position, left, 190);
+
+  detail('Working days', String(payslip.workingDays), left + half, 100);
+  detail('Payable days', String(payslip.payableDays), left + half, 130);
+  detail('Absent days', String(payslip.unpaidDays.absent), left + half, 160);
+  detail('Unpaid leave days', String(payslip.unpaidDays.unpaidLeave), left + half, 190);
+
+  const columnWidth = half - 15;
+  const earningsEnd = drawLines(doc, 'Earnings', payslip.earnings, payslip.grossPay, left, 240, columnWidth);
+  const deductionsEnd = drawLines(doc, 'Deductions', payslip.deductions, payslip.totalDeductions,
+    left + half + 15, 240, columnWidth);
+
+  // Net pay
+  const netY = Math.max(earningsEnd, deductionsEnd) + 20;
+  doc.rect(left, netY, width, 36).fill('#f2f2f2');
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(13)
+    .text('Net pay', left + 12, netY + 11)
+    .text(money(payslip.netPay), left, netY + 11, { width: width - 12, align: 'right' });
+
+  doc.fillColor('#888888').font('Helvetica').fontSize(8)
+    .text('This is a computer-generated payslip and does not require a signature.', left, netY + 60, { width });
+
+  doc.end();
+  return doc;
+};
+
+// End a download that failed part-way: an error response if nothing has been
+// sent yet, otherwise drop the connection so the client sees it incomplete
+const failDownload = (res, err) => {
+  console.error(err.message);
+  if (!res.headersSent) {
+    res.status(500).send('Server error');
+  } else {
+    res.destroy(err);
+  }
+};
+
+// Stream a payslip PDF to the response as a download. Nothing is written to
+// disk, so parallel requests never share a file.
+const sendPayslip = (res, payslip, run) => {
+  const doc = payslipDocument(payslip, run);
+  doc.on('error', err => failDownload(res, err));
+
+  res.attachment(payslipFile(payslip));
+  res.type('application/pdf');
+  doc.pipe(res);
+};
+
+// Stream every payslip of a run to the response as one ZIP. PDFs are
+// rendered one at a time, each once the previous one is in the archive.
+const sendPayslipZip = async (res, payslips, run) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', err => console.error(err.message));
+
+  // Settles only on failure: the archive errors or the client goes away
+  const failed = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    res.on('close', () => {
+      if (!res.writableFinished) reject(new Error('Payslip download aborted'));
+    });
+  });
+  failed.catch(() => {});
+
+  res.attachment(`payslips-${run.month}.zip`);
+  archive.pipe(res);
+
+  try {
+    for (const payslip of payslips) {
+      archive.append(payslipDocument(payslip, run), { name: payslipFile(payslip) });
+      await Promise.race([once(archive, 'entry'), failed]);
+    }
+
+    await Promise.race([archive.finalize(), failed]);
+  } catch (err) {
+    archive.abort();
+    failDownload(res, err);
+  }
+};
+
+module.exports = {
+  payslipFile,
+  sendPayslip,
+  sendPayslipZip
+};
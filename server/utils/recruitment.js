@@ -0,0 +1,68 @@
+const Interview = require('../models/Interview');
+const JobOpening = require('../models/JobOpening');
+const Pipeline = require('../models/Pipeline');
+const { findDesignationByTitle } = require('./orgStructure');
+
+// Pipeline for a designation: the active one set up for it, else the default
+const pipelineFor = async (designation) => {
+  const specific = designation ? await Pipeline.findOne({ position: designation, active: true }) : null;
+  return specific || Pipeline.findOne({ position: null, active: true }).sort({ createdAt: 1 });
+};
+
+// Pipeline a candidate applying for a position, optionally against an
+// opening, goes through: the opening's own pipeline if it has one, else the
+// one for the opening's designation or the designation titled as the
+// position applied for
+const pipelineForApplication = async ({ opening, position }) => {
+  const own = opening && opening.pipeline ? await Pipeline.findById(opening.pipeline) : null;
+  if (own) return own;
+
+  const designation = opening && opening.position
+    ? opening.position
+    : await findDesignationByTitle(position).then(match => match && match._id);
+  return pipelineFor(designation);
+};
+
+// A candidate's pipeline. Candidates added before any pipeline existed get
+// the one they would be assigned today.
+const candidatePipeline = async (candidate) => {
+  if (candidate.pipeline) return Pipeline.findById(candidate.pipeline);
+
+  const opening = candidate.opening ? await JobOpening.findById(candidate.opening) : null;
+  return pipelineForApplication({ opening, position: candidate.position });
+};
+
+// Record the candidate's stage and status after a change
+const recordStageChange = (candidate, userId, note) => {
+  candidate.stageHistory.push({
+    stage: candidate.stage,
+    status: candidate.status,
+    note,
+    changedBy: userId
+  });
+};
+
+// Names of the required rounds of the candidate's pipeline not yet passed,
+// or null when the pipeline they are in no longer exists, as its rounds
+// cannot be checked
+const outstandingRounds = async (candidate) => {
+  if (!candidate.pipeline) return [];
+
+  const pipeline = await Pipeline.findById(candidate.pipeline);
+  if (!pipeline) return null;
+
+  const passed = await Interview.find({ candidate: candidate._id, result: 'passed' }).distinct('round');
+  const passedIds = new Set(passed.map(String));
+
+  return pipeline.rounds
+    .filter(round => round.required && !passedIds.has(round.id))
+    .map(round => round.name);
+};
+
+module.exports = {
+  pipelineFor,
+  pipelineForApplication,
+  candidatePipeline,
+  recordStageChange,
+  outstandingRounds
+};
@@ -0,0 +1,122 @@
+const Employee = require('../models/Employee');
+const SalaryRevision = require('../models/SalaryRevision');
+
+// Revisions in force by date order; revisions on the same day resolve to the
+// one recorded last, so a correction replaces the figure it corrects
+const byEffectiveDate = { effectiveDate: -1, createdAt: -1 };
+
+// Salary before an employee's earliest revision. Employees hired before
+// revisions were recorded have no joining revision; Employee.salary has
+// already moved on to the revised figure, so the earliest revision's
+// previousSalary is what they were paid until then.
+const salaryBefore = (earliest, employee) =>
+  earliest && earliest.previousSalary !== undefined && earliest.previousSalary !== null
+    ? earliest.previousSalary
+    : employee.salary;
+
+// Salary in effect on a date from all of an employee's revisions, sorted
+// byEffectiveDate
+const pickSalary = (revisions, date, employee) => {
+  const revision = revisions.find(item => item.effectiveDate <= date);
+  return revision ? revision.salary : salaryBefore(revisions[revisions.length - 1], employee);
+};
+
+// Salary of one employee on a date
+const salaryOn = async (employee, date) => {
+  const revision = await SalaryRevision.findOne({
+    employee: employee._id,
+    effectiveDate: { $lte: date }
+  }).sort(byEffectiveDate);
+
+  if (revision) return revision.salary;
+
+  const earliest = await SalaryRevision.findOne({ employee: employee._id })
+    .sort({ effectiveDate: 1, createdAt: 1 });
+  return salaryBefore(earliest, employee);
+};
+
+// Preload revisions for many employees, returning a synchronous lookup
+// (employee, date) => salary. Revisions after the period are loaded too, as
+// the earliest one tells what was paid before it.
+const loadSalaries = async (employeeIds) => {
+  const revisions = await SalaryRevision.find({
+    employee: { $in: employeeIds }
+  }).sort(byEffectiveDate);
+
+  const byEmployee = new Map();
+  for (const revision of revisions) {
+    const key = revision.employee.toString();
+    byEmployee.set(key, [...(byEmployee.get(key) || []), revision]);
+  }
+
+  return (employee, date) => pickSalary(byEmployee.get(employee.id) || [], date, employee);
+};
+
+// Bring Employee.salary up to date with the revisions in effect today
+const syncCurrentSalary = async (employee) => {
+  const now = new Date();
+  const salary = await salaryOn(employee, now);
+
+  if (salary !== employee.salary) {
+    employee.salary = salary;
+    await employee.save();
+  }
+
+  await SalaryRevision.updateMany(
+    { employee: employee._id, effectiveDate: { $lte: now }, applied: false },
+    { $set: { applied: true } }
+  );
+
+  return employee;
+};
+
+// Record a salary change; it becomes the current salary once effective
+const reviseSalary = async (employee, { salary, effectiveDate, reason, notes }, userId) => {
+  const effective = new Date(effectiveDate);
+  effective.setHours(0, 0, 0, 0);
+
+  const dayBefore = new Date(effective);
+  dayBefore.setDate(dayBefore.getDate() - 1);
+
+  const revision = await new SalaryRevision({
+    employee: employee._id,
+    salary: Number(salary),
+    previousSalary: reason === 'joining' ? undefined : await salaryOn(employee, dayBefore),
+    effectiveDate: effective,
+    reason,
+    notes,
+    approvedBy: userId
+  }).save();
+
+  await syncCurrentSalary(employee);
+  return revision;
+};
+
+// Apply future-dated revisions that have since taken effect
+const applyDueRevisions = async () => {
+  const employeeIds = await SalaryRevision.distinct('employee', {
+    effectiveDate: { $lte: new Date() },
+    applied: false
+  });
+
+  const employees = await Employee.find({ _id: { $in: employeeIds } });
+  for (const employee of employees) {
+    await syncCurrentSalary(employee);
+  }
+
+  return employees.length;
+};
+
+const salaryHistory = (employeeId) =>
+  SalaryRevision.find({ employee: employeeId })
+    .populate('approvedBy', 'name')
+    .sort(byEffectiveDate);
+
+module.exports = {
+  salaryOn,
+  loadSalaries,
+  syncCurrentSalary,
+  reviseSalary,
+  applyDueRevisions,
+  salaryHistory
+};
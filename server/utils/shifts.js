@@ -0,0 +1,95 @@
+const Shift = require('../models/Shift');
+const Roster = require('../models/Roster');
+const { getRules, timeOn, scheduleFor } = require('./attendanceRules');
+const { dateKey, loadCalendar, isWorkingDay } = require('./workCalendar');
+
+// Monday of the week containing date, at local midnight
+const weekStartOf = (date) => {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+  return monday;
+};
+
+// Position of date within a roster week (Monday = 0)
+const rosterDayIndex = (date) => (new Date(date).getDay() + 6) % 7;
+
+// Expected start/end of a shift starting on date; night shifts end next day
+const shiftSchedule = (date, shift) => {
+  const start = timeOn(date, shift.startTime);
+  const end = timeOn(date, shift.endTime);
+  if (end <= start) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  return {
+    start,
+    end,
+    graceMinutes: shift.graceMinutes,
+    fullDayHours: shift.fullDayHours,
+    halfDayHours: shift.halfDayHours,
+    shift: { _id: shift._id, name: shift.name },
+    off: false
+  };
+};
+
+// Preload rosters, shifts and company rules for a date range, returning a
+// synchronous lookup (employeeId, date) => schedule. Rostered employees follow
+// their roster (a null day is off); everyone else follows the company hours
+// and holiday calendar. Off days still carry company hours, with off: true.
+const loadSchedules = async (startDate, endDate) => {
+  const [rules, calendar, shifts, rosters] = await Promise.all([
+    getRules(),
+    loadCalendar(startDate, endDate),
+    Shift.find(),
+    Roster.find({ weekStart: { $gte: weekStartOf(startDate), $lte: new Date(endDate) } })
+  ]);
+
+  const shiftsById = new Map(shifts.map(shift => [shift.id, shift]));
+  const rostersByWeek = new Map(rosters.map(roster =>
+    [`${roster.employee}:${dateKey(roster.weekStart)}`, roster]));
+
+  return (employeeId, date) => {
+    const companyHours = { ...scheduleFor(date, rules), shift: null };
+    const roster = rostersByWeek.get(`${employeeId}:${dateKey(weekStartOf(date))}`);
+
+    if (roster) {
+      const shiftId = roster.days[rosterDayIndex(date)];
+      const shift = shiftId && shiftsById.get(shiftId.toString());
+      return shift ? shiftSchedule(date, shift) : { ...companyHours, off: true };
+    }
+
+    return { ...companyHours, off: !isWorkingDay(date, calendar) };
+  };
+};
+
+// Schedule for one employee on one day
+const scheduleOn = async (employeeId, date) => {
+  const lookup = await loadSchedules(date, date);
+  return lookup(employeeId, date);
+};
+
+// The attendance day a clock-in belongs to: punches in the early hours
+// before yesterday's night shift has ended count towards yesterday
+const attendanceDayFor = async (employeeId, time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+
+  const previousDay = new Date(day);
+  previousDay.setDate(previousDay.getDate() - 1);
+
+  const previous = await scheduleOn(employeeId, previousDay);
+  if (!previous.off && previous.shift && previous.end > day && time < previous.end) {
+    return previousDay;
+  }
+
+  return day;
+};
+
+module.exports = {
+  weekStartOf,
+  rosterDayIndex,
+  loadSchedules,
+  scheduleOn,
+  attendanceDayFor
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<random secret>"
+const parseSessionId = (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  return sessionId;
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    sid: session.id
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Give the session a fresh refresh token and return it
+const setRefreshToken = (session) => {
+  const refreshToken = `${session.id}.${crypto.randomBytes(40).toString('hex')}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = refreshExpiry();
+  return refreshToken;
+};
+
+// Start a new session for the user and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  const refreshToken = setRefreshToken(session);
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Replace the session's refresh token and issue a new token pair
+const rotateSession = async (session, user) => {
+  const refreshToken = setRefreshToken(session);
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+const revokeSession = (session, reason) => {
+  session.revokedAt = Date.now();
+  session.revokedReason = reason;
+  return session.save();
+};
+
+// Revoke every live session of a user, optionally keeping one (e.g. the caller's)
+const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return Session.updateMany(query, { $set: { revokedAt: Date.now(), revokedReason: reason } });
+};
+
+module.exports = {
+  hashToken,
+  parseSessionId,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,81 @@
+const Holiday = require('../models/Holiday');
+const Setting = require('../models/Setting');
+
+// Sunday and Saturday unless configured otherwise (0 = Sunday ... 6 = Saturday)
+const DEFAULT_WEEKLY_OFF_DAYS = [0, 6];
+
+// Local calendar date as YYYY-MM-DD
+const dateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Parse a date, reading plain YYYY-MM-DD as a local day rather than UTC.
+// Returns local midnight of that day, or null if it can't be parsed.
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+  if (isNaN(date)) return null;
+
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const getWeeklyOffDays = () => Setting.getValue('weeklyOffDays', DEFAULT_WEEKLY_OFF_DAYS);
+
+// Load the weekly offs and the holidays between two dates
+const loadCalendar = async (startDate, endDate) => {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  const [weeklyOffDays, holidays] = await Promise.all([
+    getWeeklyOffDays(),
+    Holiday.find({ date: { $gte: start, $lte: end } })
+  ]);
+
+  return {
+    weeklyOffDays,
+    holidays: new Map(holidays.map(holiday => [dateKey(holiday.date), holiday.name]))
+  };
+};
+
+const isWorkingDay = (date, calendar) =>
+  !calendar.weeklyOffDays.includes(new Date(date).getDay()) &&
+  !calendar.holidays.has(dateKey(date));
+
+// Every day between two dates (inclusive), at local midnight
+const datesBetween = (startDate, endDate) => {
+  const current = new Date(startDate);
+  current.setHours(0, 0, 0, 0);
+
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  const dates = [];
+  while (current <= end) {
+    dates.push(new Date(current));
+    current.setDate(current.getDate() + 1);
+  }
+
+  return dates;
+};
+
+// Every working day between two dates (inclusive), at local midnight
+const workingDates = (startDate, endDate, calendar) =>
+  datesBetween(startDate, endDate).filter(date => isWorkingDay(date, calendar));
+
+module.exports = {
+  DEFAULT_WEEKLY_OFF_DAYS,
+  dateKey,
+  parseDay,
+  getWeeklyOffDays,
+  loadCalendar,
+  isWorkingDay,
+  datesBetween,
+  workingDates
+};